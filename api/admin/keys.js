@@ -0,0 +1,137 @@
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { setCorsHeaders } = require('../../lib/middleware');
+const { authenticateAdmin } = require('../../lib/adminAuth');
+const { UPSTREAM_MODELS } = require('../../lib/models');
+const {
+    syncRotationState,
+    getRotationStats,
+    addApiKey,
+    updateApiKey,
+    removeApiKey
+} = require('../../lib/apiKeyRotation');
+
+// Manages the upstream key pools at runtime:
+//   GET    ?model=            list keys (all models when omitted)
+//   POST   { model, key, label?, weight?, rpm? }
+//   PATCH  { model, id, label?, weight?, rpm?, disabled? }
+//   DELETE { model, id }
+// Keys are only ever returned as a preview.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'] }
+            );
+        }
+
+        const admin = await authenticateAdmin(req, requestId);
+
+        if (req.method === 'GET') {
+            const models = req.query?.model ? [requireModel(req.query.model)] : UPSTREAM_MODELS;
+            await Promise.all(models.map(model => syncRotationState(model)));
+
+            return res.status(200).json({
+                object: 'list',
+                data: models.map(model => ({ model, keys: getRotationStats(model).keys }))
+            });
+        }
+
+        const { model, id } = req.body || {};
+        requireModel(model);
+        await syncRotationState(model);
+
+        if (req.method === 'POST') {
+            const { key, label, weight, rpm } = req.body;
+            const created = await addApiKey(model, { key, label, weight, rpm });
+
+            Logger.info('Upstream API key added', { requestId, admin: admin.id, model, keyId: created.id });
+            return res.status(201).json({ model, ...created });
+        }
+
+        if (typeof id !== 'string' || id.length === 0) {
+            throw ErrorHandler.BadRequest(
+                'Key id is required',
+                'MISSING_KEY_ID',
+                { hint: 'Use the "id" returned by GET /api/admin/keys' }
+            );
+        }
+
+        if (req.method === 'PATCH') {
+            const { label, weight, rpm, disabled } = req.body;
+            const updated = await updateApiKey(model, id, { label, weight, rpm, disabled });
+
+            Logger.info('Upstream API key updated', {
+                requestId,
+                admin: admin.id,
+                model,
+                keyId: id,
+                responseTime: `${Date.now() - startTime}ms`
+            });
+            return res.status(200).json({ model, ...updated });
+        }
+
+        await removeApiKey(model, id);
+
+        Logger.info('Upstream API key removed', { requestId, admin: admin.id, model, keyId: id });
+        return res.status(200).json({ id, model, object: 'upstream_key.deleted', deleted: true });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in admin keys endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in admin keys endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
+
+function requireModel(model) {
+    if (!model || !UPSTREAM_MODELS.includes(model)) {
+        throw ErrorHandler.BadRequest(
+            model ? `Unknown model '${model}'` : 'model is required',
+            model ? 'INVALID_MODEL' : 'MISSING_MODEL',
+            { validModels: UPSTREAM_MODELS }
+        );
+    }
+
+    return model;
+}
@@ -0,0 +1,132 @@
+const { supabase } = require('../../lib/supabase');
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { setCorsHeaders } = require('../../lib/middleware');
+const { authenticateAdmin } = require('../../lib/adminAuth');
+const { isRedisAvailable } = require('../../lib/rateLimit');
+const { UPSTREAM_MODELS } = require('../../lib/models');
+const { syncRotationState, getRotationStats, getPoolCapacity } = require('../../lib/apiKeyRotation');
+
+const SUPABASE_TIMEOUT_MS = 3000;
+
+// Key health comes from the shared rotation state when Postgres is
+// configured; recent upstream errors are those seen by this instance.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'OPTIONS'] }
+            );
+        }
+
+        const admin = await authenticateAdmin(req, requestId);
+
+        Logger.info('Admin status requested', { requestId, admin: admin.id });
+
+        await Promise.all(UPSTREAM_MODELS.map(model => syncRotationState(model)));
+
+        const models = {};
+
+        for (const model of UPSTREAM_MODELS) {
+            const stats = getRotationStats(model);
+
+            models[model] = {
+                provider: stats.provider,
+                total_keys: stats.totalKeys,
+                usable_keys: getPoolCapacity(model).usableKeys,
+                all_keys_failed: stats.allKeysFailed,
+                keys: stats.keys,
+                recent_errors: stats.recentErrors
+            };
+        }
+
+        const supabaseStatus = await checkSupabase(requestId);
+        const rateLimitAvailable = isRedisAvailable();
+        const degraded = !supabaseStatus.reachable ||
+            Object.values(models).some(model => model.total_keys > 0 && model.all_keys_failed);
+
+        return res.status(200).json({
+            object: 'gateway.status',
+            status: degraded ? 'degraded' : 'operational',
+            models,
+            rate_limit_backend: {
+                type: 'postgres',
+                available: rateLimitAvailable
+            },
+            supabase: supabaseStatus,
+            generated_at: new Date().toISOString(),
+            request_id: requestId
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in admin status endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in admin status endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
+
+async function checkSupabase(requestId) {
+    const startTime = Date.now();
+    let timer = null;
+
+    try {
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`No response after ${SUPABASE_TIMEOUT_MS}ms`)), SUPABASE_TIMEOUT_MS);
+        });
+        const { error } = await Promise.race([
+            supabase.from('api_keys').select('id', { count: 'exact', head: true }).limit(1),
+            timeout
+        ]);
+
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        return { reachable: true, latency_ms: Date.now() - startTime };
+    } catch (error) {
+        Logger.warn('Supabase health check failed', { requestId, error: error.message });
+        return { reachable: false, latency_ms: Date.now() - startTime, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,81 @@
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { authenticateCron } = require('../../lib/adminAuth');
+const { processBatches } = require('../../lib/batches');
+
+// Batch worker, scheduled in vercel.json. Each run starts lines for up to
+// BATCH_WORKER_BUDGET_MS (30s by default) and each line is cut off after 20s,
+// so a run ends within maxDuration. The limit is set here because
+// vercel.json uses `builds`, which rules out `functions`.
+export const config = {
+    maxDuration: 60
+};
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'POST'] }
+            );
+        }
+
+        const caller = await authenticateCron(req, requestId);
+        const summary = await processBatches(requestId);
+
+        Logger.info('Batch worker run completed', {
+            requestId,
+            caller: caller.id,
+            ...summary,
+            responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return res.status(200).json({
+            object: 'batch_worker.run',
+            batches_processed: summary.batches,
+            requests_completed: summary.completed,
+            requests_failed: summary.failed,
+            requests_deferred: summary.deferred,
+            request_id: requestId
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in batch worker', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in batch worker', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
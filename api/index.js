@@ -32,18 +32,6 @@ export default function handler(req, res) {
             userAgent: req.headers['user-agent']
         });
 
-        const apiKeys = [
-            process.env.ORZION_PRO_API_KEY_1,
-            process.env.ORZION_PRO_API_KEY_2,
-            process.env.ORZION_PRO_API_KEY_3,
-            process.env.ORZION_TURBO_API_KEY_1,
-            process.env.ORZION_TURBO_API_KEY_2,
-            process.env.ORZION_TURBO_API_KEY_3,
-            process.env.ORZION_MINI_API_KEY_1,
-            process.env.ORZION_MINI_API_KEY_2,
-            process.env.ORZION_MINI_API_KEY_3
-        ].filter(key => key);
-
         res.status(200).json({
             message: '🤖 Bienvenido al Servidor API de Orzion AI',
             description: 'Enterprise-grade API server with comprehensive error handling and logging',
@@ -59,7 +47,41 @@ export default function handler(req, res) {
                 chat: {
                     'POST /api/v1/chat/orzion-pro': 'Advanced model for deep analysis and coding',
                     'POST /api/v1/chat/orzion-turbo': 'Fast model for quick responses',
-                    'POST /api/v1/chat/orzion-mini': 'Lightweight model for simple queries'
+                    'POST /api/v1/chat/orzion-mini': 'Lightweight model for simple queries',
+                    'POST /api/v1/chat/completions': 'OpenAI-compatible chat completions (model in request body)'
+                },
+                models: {
+                    'GET /api/v1/models': 'List available models with context length, pricing and capabilities',
+                    'GET /api/v1/models/{id}': 'Get details for a single model'
+                },
+                threads: {
+                    'POST /api/v1/threads': 'Create a conversation thread (requires API key)',
+                    'GET /api/v1/threads': 'List your conversation threads',
+                    'GET /api/v1/threads/{id}': 'Get a thread with its messages',
+                    'DELETE /api/v1/threads/{id}': 'Delete a thread and its messages',
+                    'GET /api/v1/threads/{id}/messages': 'List the messages of a thread',
+                    'POST /api/v1/threads/{id}/messages': 'Append messages and get the assistant reply, saved to the thread'
+                },
+                batches: {
+                    'POST /api/v1/batches': 'Upload a JSONL file of chat requests to run asynchronously at a discount (requires API key)',
+                    'GET /api/v1/batches': 'List your batches',
+                    'GET /api/v1/batches/{id}': 'Get the status and request counts of a batch',
+                    'POST /api/v1/batches/{id}/cancel': 'Cancel a batch; finished lines are kept',
+                    'GET /api/v1/batches/{id}/results': 'Download the results and errors of a batch as JSONL'
+                },
+                embeddings: {
+                    'POST /api/v1/embeddings': 'Create embedding vectors for a string or an array of strings (requires API key)'
+                },
+                utilities: {
+                    'POST /api/v1/tokenize': 'Count prompt tokens with the model tokenizer (requires API key)',
+                    'POST /api/v1/moderations': 'Run the content-safety guardrails on text (requires API key)'
+                },
+                admin: {
+                    'GET /api/admin/status': 'Gateway health: upstream keys, recent errors and backends (requires admin)',
+                    'GET /api/admin/keys': 'List upstream key pools and their health (requires admin)',
+                    'POST /api/admin/keys': 'Add an upstream key with optional weight, label and RPM ceiling',
+                    'PATCH /api/admin/keys': 'Update, disable or re-enable an upstream key',
+                    'DELETE /api/admin/keys': 'Remove an upstream key from its pool'
                 }
             },
             features: {
@@ -69,24 +91,6 @@ export default function handler(req, res) {
                 apiKeyRotation: 'Automatic API key rotation for high availability',
                 monitoring: 'Full observability with request IDs and response times'
             },
-            api_keys_configured: apiKeys.length,
-            api_keys_by_model: {
-                'orzion-pro': [
-                    process.env.ORZION_PRO_API_KEY_1,
-                    process.env.ORZION_PRO_API_KEY_2,
-                    process.env.ORZION_PRO_API_KEY_3
-                ].filter(k => k).length,
-                'orzion-turbo': [
-                    process.env.ORZION_TURBO_API_KEY_1,
-                    process.env.ORZION_TURBO_API_KEY_2,
-                    process.env.ORZION_TURBO_API_KEY_3
-                ].filter(k => k).length,
-                'orzion-mini': [
-                    process.env.ORZION_MINI_API_KEY_1,
-                    process.env.ORZION_MINI_API_KEY_2,
-                    process.env.ORZION_MINI_API_KEY_3
-                ].filter(k => k).length
-            },
             environment: 'Next.js on Vercel',
             request_id: requestId
         });
@@ -2,6 +2,9 @@ const { supabase } = require('../../lib/supabase');
 const Logger = require('../../lib/logger');
 const { ErrorHandler } = require('../../lib/errorHandler');
 const { setCorsHeaders } = require('../../lib/middleware');
+const { validateCustomInstructions } = require('../../lib/promptRegistry');
+const { validatePiiRedaction } = require('../../lib/piiRedaction');
+const { handleIdempotencyKey } = require('../../lib/idempotency');
 
 export default async function handler(req, res) {
     const requestId = Logger.generateRequestId();
@@ -139,7 +142,7 @@ async function handleGetApiKeys(req, res, userId, requestId) {
 
         const { data, error } = await supabase
             .from('api_keys')
-            .select('id, api_key_preview, name, is_active, usage_count, last_used, created_at')
+            .select('id, api_key_preview, name, is_active, custom_instructions, pii_redaction, usage_count, last_used, created_at')
             .eq('user_id', userId)
             .order('created_at', { ascending: false });
 
@@ -189,7 +192,14 @@ async function handleGetApiKeys(req, res, userId, requestId) {
 
 async function handleCreateApiKey(req, res, userId, requestId) {
     try {
-        const { name } = req.body;
+        // The body holds the new key in plaintext, so its replay is sealed
+        const idempotency = await handleIdempotencyKey(req, res, userId, requestId, { sealResponse: true });
+
+        if (idempotency.replayed) {
+            return;
+        }
+
+        const { name, custom_instructions, pii_redaction } = req.body;
 
         if (!name) {
             throw ErrorHandler.BadRequest(
@@ -224,6 +234,13 @@ async function handleCreateApiKey(req, res, userId, requestId) {
             );
         }
 
+        const customInstructions = custom_instructions === undefined
+            ? null
+            : validateCustomInstructions(custom_instructions);
+        const piiRedaction = pii_redaction === undefined
+            ? null
+            : validatePiiRedaction(pii_redaction);
+
         Logger.info('Checking API key limit', { requestId, userId });
 
         const { count, error: countError } = await supabase
@@ -310,11 +327,40 @@ async function handleCreateApiKey(req, res, userId, requestId) {
             );
         }
 
+        if (customInstructions || piiRedaction) {
+            const { error: instructionsError } = await supabase
+                .from('api_keys')
+                .update({ custom_instructions: customInstructions, pii_redaction: piiRedaction })
+                .eq('id', result.api_key_id)
+                .eq('user_id', userId);
+
+            if (instructionsError) {
+                Logger.logDatabaseError('set API key settings', instructionsError, {
+                    requestId,
+                    userId,
+                    apiKeyId: result.api_key_id
+                });
+
+                throw ErrorHandler.InternalError(
+                    'API key was created but its settings could not be saved',
+                    'DATABASE_ERROR',
+                    {
+                        operation: 'UPDATE',
+                        table: 'api_keys',
+                        apiKeyId: result.api_key_id,
+                        supabaseError: instructionsError.message
+                    }
+                );
+            }
+        }
+
         Logger.info('API key created successfully', {
             requestId,
             userId,
             apiKeyId: result.api_key_id,
-            name: trimmedName
+            name: trimmedName,
+            hasCustomInstructions: Boolean(customInstructions),
+            piiRedaction
         });
 
         return res.status(201).json({
@@ -323,6 +369,8 @@ async function handleCreateApiKey(req, res, userId, requestId) {
             api_key: result.api_key,
             api_key_id: result.api_key_id,
             name: trimmedName,
+            custom_instructions: customInstructions,
+            pii_redaction: piiRedaction,
             warning: 'This API key will only be shown once. Please store it securely.'
         });
     } catch (error) {
@@ -344,7 +392,7 @@ async function handleCreateApiKey(req, res, userId, requestId) {
 
 async function handleUpdateApiKey(req, res, userId, requestId) {
     try {
-        const { api_key_id, is_active, name } = req.body;
+        const { api_key_id, is_active, name, custom_instructions, pii_redaction } = req.body;
 
         if (!api_key_id) {
             throw ErrorHandler.BadRequest(
@@ -404,11 +452,19 @@ async function handleUpdateApiKey(req, res, userId, requestId) {
             updateFields.name = trimmedName;
         }
 
+        if (custom_instructions !== undefined) {
+            updateFields.custom_instructions = validateCustomInstructions(custom_instructions);
+        }
+
+        if (pii_redaction !== undefined) {
+            updateFields.pii_redaction = validatePiiRedaction(pii_redaction);
+        }
+
         if (Object.keys(updateFields).length === 0) {
             throw ErrorHandler.BadRequest(
                 'No fields to update',
                 'NO_UPDATE_FIELDS',
-                { hint: 'Provide at least one field to update (name or is_active)' }
+                { hint: 'Provide at least one field to update (name, is_active, custom_instructions or pii_redaction)' }
             );
         }
 
@@ -476,7 +532,9 @@ async function handleUpdateApiKey(req, res, userId, requestId) {
             api_key: {
                 id: data[0].id,
                 name: data[0].name,
-                is_active: data[0].is_active
+                is_active: data[0].is_active,
+                custom_instructions: data[0].custom_instructions,
+                pii_redaction: data[0].pii_redaction
             }
         });
     } catch (error) {
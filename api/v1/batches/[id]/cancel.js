@@ -0,0 +1,68 @@
+const Logger = require('../../../../lib/logger');
+const { ErrorHandler } = require('../../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../../lib/middleware');
+const { authenticateApiKey } = require('../../../../lib/threads');
+const { cancelBatch, formatBatch } = require('../../../../lib/batches');
+
+// Lines that already ran stay billed and available from /results
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['POST', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+        const batch = await cancelBatch(validation.userId, req.query?.id);
+
+        Logger.info('Batch cancelled', { requestId, userId: validation.userId, batchId: batch.id });
+
+        return res.status(200).json(formatBatch(batch));
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in batch cancel endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in batch cancel endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
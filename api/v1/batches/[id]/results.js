@@ -0,0 +1,70 @@
+const Logger = require('../../../../lib/logger');
+const { ErrorHandler } = require('../../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../../lib/middleware');
+const { authenticateApiKey } = require('../../../../lib/threads');
+const { getBatch, getBatchResults } = require('../../../../lib/batches');
+
+// Returns the finished lines so far, so partial results of a running or
+// cancelled batch can be downloaded too.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+        const batch = await getBatch(validation.userId, req.query?.id);
+        const results = await getBatchResults(batch.id);
+
+        res.setHeader('Content-Type', 'application/jsonl');
+        res.setHeader('Content-Disposition', `attachment; filename="batch_${batch.id}_results.jsonl"`);
+        return res.status(200).send(results);
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in batch results endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in batch results endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
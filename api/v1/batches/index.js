@@ -0,0 +1,118 @@
+const Logger = require('../../../lib/logger');
+const { ErrorHandler } = require('../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../lib/middleware');
+const { authenticateApiKey, parseListLimit } = require('../../../lib/threads');
+const {
+    parseBatchInput,
+    validateBatchMetadata,
+    createBatch,
+    listBatches,
+    formatBatch
+} = require('../../../lib/batches');
+
+// POST takes the JSONL either as a plain-text body (Content-Type: text/plain,
+// or application/octet-stream) or as JSON { input: "<jsonl>", metadata? }.
+// Other content types are not parsed by the platform and arrive without a body.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'POST', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+
+        if (req.method === 'GET') {
+            const limit = parseListLimit(req.query?.limit);
+            const offset = Number(req.query?.offset ?? 0);
+
+            if (!Number.isInteger(offset) || offset < 0) {
+                throw ErrorHandler.BadRequest(
+                    'offset must be a non-negative integer',
+                    'INVALID_OFFSET',
+                    { providedOffset: req.query.offset }
+                );
+            }
+
+            const batches = await listBatches(validation.userId, { limit, offset });
+
+            return res.status(200).json({
+                object: 'list',
+                data: batches.map(formatBatch),
+                limit,
+                offset,
+                has_more: batches.length === limit
+            });
+        }
+
+        let input = req.body;
+        let metadata;
+
+        if (Buffer.isBuffer(input)) {
+            input = input.toString('utf8');
+        } else if (input && typeof input === 'object') {
+            ({ input, metadata } = input);
+        }
+
+        validateBatchMetadata(metadata);
+        const lines = parseBatchInput(input);
+        const batch = await createBatch(validation, req.headers.authorization.substring(7), lines, metadata);
+
+        Logger.info('Batch created', {
+            requestId,
+            userId: validation.userId,
+            batchId: batch.id,
+            requests: lines.length,
+            responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return res.status(201).json(formatBatch(batch));
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in batches endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in batches endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
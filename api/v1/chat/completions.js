@@ -0,0 +1,10 @@
+const { handleChatCompletion } = require('../../../lib/chatCompletion');
+
+// OpenAI-compatible entry point: the model is read from the request body so
+// stock SDKs work with only a baseURL change.
+export default async function handler(req, res) {
+    return handleChatCompletion(req, res, {
+        getModel: (request) => request.body?.model,
+        getEndpoint: () => '/api/v1/chat/completions'
+    });
+}
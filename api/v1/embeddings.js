@@ -0,0 +1,147 @@
+const { validateApiKey, checkRateLimits, updateApiUsage } = require('../../lib/supabase');
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { setCorsHeaders } = require('../../lib/middleware');
+const { validateEmbeddingRequest, createEmbeddings, formatEmbeddingsResponse } = require('../../lib/embeddings');
+
+const ENDPOINT = '/api/v1/embeddings';
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+    let userApiKey = null;
+    let model = null;
+    let inputTokens = 0;
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['POST', 'OPTIONS'] }
+            );
+        }
+
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            throw ErrorHandler.Unauthorized(
+                'Authorization header with Bearer token is required',
+                'MISSING_AUTH_TOKEN',
+                { hint: 'Include Authorization: Bearer <your-api-key> in headers' }
+            );
+        }
+
+        const validation = await validateApiKey(authHeader.substring(7));
+
+        if (!validation.isValid) {
+            throw ErrorHandler.Unauthorized(
+                validation.error || 'Invalid API key',
+                'INVALID_API_KEY',
+                { hint: 'Ensure your API key is active and properly formatted' }
+            );
+        }
+
+        const { input, encoding_format, dimensions, user } = req.body || {};
+        const request = validateEmbeddingRequest(req.body || {});
+        model = req.body.model;
+        inputTokens = request.estimatedTokens;
+        userApiKey = authHeader.substring(7);
+
+        const rateLimitResult = await checkRateLimits(validation, inputTokens);
+
+        if (!rateLimitResult.allowed) {
+            Logger.warn('Rate limit exceeded', {
+                requestId,
+                userId: validation.userId,
+                details: rateLimitResult.details
+            });
+            throw ErrorHandler.TooManyRequests(
+                rateLimitResult.message || 'Rate limit exceeded',
+                'RATE_LIMIT_EXCEEDED',
+                rateLimitResult.details
+            );
+        }
+
+        const result = await createEmbeddings(
+            model,
+            input,
+            {
+                ...(encoding_format !== undefined && { encoding_format }),
+                ...(dimensions !== undefined && { dimensions }),
+                ...(user !== undefined && { user })
+            },
+            requestId
+        );
+        const promptTokens = result.usage?.prompt_tokens ?? inputTokens;
+        const responseTime = Date.now() - startTime;
+
+        await updateApiUsage(userApiKey, ENDPOINT, model, promptTokens, 0, responseTime, 200);
+
+        Logger.info('Embeddings request processed', {
+            requestId,
+            userId: validation.userId,
+            model,
+            inputs: request.inputs.length,
+            promptTokens,
+            responseTime: `${responseTime}ms`
+        });
+
+        return res.status(200).json(formatEmbeddingsResponse(model, result, promptTokens));
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+
+        if (userApiKey) {
+            await updateApiUsage(
+                userApiKey,
+                ENDPOINT,
+                model,
+                inputTokens,
+                0,
+                responseTime,
+                error.isOperational ? error.statusCode : 500,
+                error.message
+            ).catch(err => Logger.error('Failed to log error usage', { requestId, error: err.message }));
+        }
+
+        if (error.isOperational) {
+            Logger.warn('Operational error in embeddings endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in embeddings endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
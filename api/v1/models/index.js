@@ -0,0 +1,66 @@
+const Logger = require('../../../lib/logger');
+const { ErrorHandler } = require('../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../lib/middleware');
+const { listModels } = require('../../../lib/models');
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'OPTIONS'] }
+            );
+        }
+
+        Logger.info('Models list requested', {
+            requestId,
+            userAgent: req.headers['user-agent']
+        });
+
+        return res.status(200).json({
+            object: 'list',
+            data: listModels()
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in models endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in models endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId
+            }
+        });
+    }
+}
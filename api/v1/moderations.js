@@ -0,0 +1,147 @@
+const { validateApiKey, checkRateLimits, updateApiUsage, estimateTokens } = require('../../lib/supabase');
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { setCorsHeaders } = require('../../lib/middleware');
+const { createGuardrailModelCaller } = require('../../lib/chatCompletion');
+const { runGuardrails, STAGES } = require('../../lib/guardrails');
+
+const ENDPOINT = '/api/v1/moderations';
+const MODERATION_MODEL = 'orzion-guardrails';
+const MAX_INPUTS = 32;
+
+// Runs the configured chat guardrails on arbitrary text, by default the
+// input checks; send stage: "output" to try the output checks. Results are
+// not recorded as violations, since nothing is being blocked.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['POST', 'OPTIONS'] }
+            );
+        }
+
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            throw ErrorHandler.Unauthorized(
+                'Authorization header with Bearer token is required',
+                'MISSING_AUTH_TOKEN',
+                { hint: 'Include Authorization: Bearer <your-api-key> in headers' }
+            );
+        }
+
+        const userApiKey = authHeader.substring(7);
+        const validation = await validateApiKey(userApiKey);
+
+        if (!validation.isValid) {
+            throw ErrorHandler.Unauthorized(
+                validation.error || 'Invalid API key',
+                'INVALID_API_KEY',
+                { hint: 'Ensure your API key is active and properly formatted' }
+            );
+        }
+
+        const { input, stage = 'input' } = req.body || {};
+        const inputs = Array.isArray(input) ? input : [input];
+
+        if (inputs.length === 0 || inputs.length > MAX_INPUTS || inputs.some(item => typeof item !== 'string')) {
+            throw ErrorHandler.BadRequest(
+                `input must be a string or an array of up to ${MAX_INPUTS} strings`,
+                'INVALID_INPUT'
+            );
+        }
+
+        if (!STAGES.includes(stage)) {
+            throw ErrorHandler.BadRequest(
+                `stage must be one of ${STAGES.join(', ')}`,
+                'INVALID_STAGE',
+                { providedStage: stage }
+            );
+        }
+
+        const inputTokens = inputs.reduce((total, item) => total + estimateTokens(item), 0);
+        const rateLimitResult = await checkRateLimits(validation, inputTokens);
+
+        if (!rateLimitResult.allowed) {
+            throw ErrorHandler.TooManyRequests(
+                rateLimitResult.message || 'Rate limit exceeded',
+                'RATE_LIMIT_EXCEEDED',
+                rateLimitResult.details
+            );
+        }
+
+        const verdict = await runGuardrails(stage, inputs, {
+            callModel: createGuardrailModelCaller({ userApiKey, endpoint: ENDPOINT, requestId }),
+            requestId
+        });
+        const responseTime = Date.now() - startTime;
+
+        await updateApiUsage(userApiKey, ENDPOINT, MODERATION_MODEL, inputTokens, 0, responseTime, 200);
+
+        Logger.info('Moderation request processed', {
+            requestId,
+            userId: validation.userId,
+            stage,
+            inputs: inputs.length,
+            flagged: verdict.flagged,
+            responseTime: `${responseTime}ms`
+        });
+
+        return res.status(200).json({
+            id: `modr-${requestId.replace(/^req_/, '')}`,
+            model: MODERATION_MODEL,
+            results: verdict.results.map(result => ({
+                flagged: result.flagged,
+                blocked: result.blocked,
+                categories: result.categories,
+                category_scores: result.category_scores,
+                checks: result.violations.map(({ check, type, category, action }) => ({ check, type, category, action }))
+            }))
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in moderations endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in moderations endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
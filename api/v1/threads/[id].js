@@ -0,0 +1,91 @@
+const Logger = require('../../../lib/logger');
+const { ErrorHandler } = require('../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../lib/middleware');
+const {
+    authenticateApiKey,
+    getThread,
+    deleteThread,
+    getThreadMessages,
+    formatThread
+} = require('../../../lib/threads');
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'DELETE') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'DELETE', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+        const threadId = req.query?.id;
+
+        if (req.method === 'DELETE') {
+            await deleteThread(validation.userId, threadId);
+
+            Logger.info('Thread deleted', {
+                requestId,
+                userId: validation.userId,
+                threadId,
+                responseTime: `${Date.now() - startTime}ms`
+            });
+
+            return res.status(200).json({
+                id: threadId,
+                object: 'thread.deleted',
+                deleted: true
+            });
+        }
+
+        const thread = await getThread(validation.userId, threadId);
+        const messages = await getThreadMessages(thread.id);
+
+        return res.status(200).json(formatThread(thread, messages));
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in thread endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in thread endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
@@ -0,0 +1,150 @@
+const Logger = require('../../../../lib/logger');
+const { ErrorHandler } = require('../../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../../lib/middleware');
+const { handleChatCompletion, validateMessage } = require('../../../../lib/chatCompletion');
+const {
+    authenticateApiKey,
+    getThread,
+    getThreadMessages,
+    appendThreadMessages,
+    toChatMessage,
+    formatThreadMessage
+} = require('../../../../lib/threads');
+
+// GET returns the stored conversation. POST appends the new messages, runs
+// the rebuilt conversation through the chat pipeline (which bills usage) and
+// saves the assistant reply alongside them.
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'POST', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+        const thread = await getThread(validation.userId, req.query?.id);
+        const history = await getThreadMessages(thread.id);
+
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                object: 'list',
+                thread_id: thread.id,
+                data: history.map(formatThreadMessage)
+            });
+        }
+
+        const { messages: newMessages, stream = false, n = 1 } = req.body || {};
+
+        if (!Array.isArray(newMessages) || newMessages.length === 0) {
+            throw ErrorHandler.BadRequest(
+                'Messages must be a non-empty array of messages to append',
+                'INVALID_MESSAGES_TYPE',
+                { hint: 'Only send the new messages; earlier turns are loaded from the thread' }
+            );
+        }
+
+        newMessages.forEach((message, index) => validateMessage(message, index));
+
+        if (stream) {
+            throw ErrorHandler.BadRequest(
+                'Streaming is not supported for thread messages',
+                'STREAMING_NOT_SUPPORTED',
+                { hint: 'Send stream: false; the reply is returned once it has been saved' }
+            );
+        }
+
+        if (n !== 1) {
+            throw ErrorHandler.BadRequest(
+                'Thread messages support a single choice only',
+                'MULTIPLE_CHOICES_NOT_SUPPORTED',
+                { providedN: n }
+            );
+        }
+
+        return await handleChatCompletion(req, res, {
+            getModel: (request) => request.body.model || thread.model,
+            getEndpoint: () => '/api/v1/threads/messages',
+            getMessages: () => [...history.map(toChatMessage), ...newMessages],
+            onCompletion: async ({ choices, model }) => {
+                const [choice] = choices;
+
+                // A reply blocked by the output guardrails or refused for
+                // repeating the system prompt comes back empty, which the
+                // history validator rejects on the next turn; the whole
+                // exchange is left out of the thread instead
+                if (choice.finishReason === 'content_filter') {
+                    Logger.warn('Filtered reply not saved to thread', { requestId, threadId: thread.id, model });
+
+                    return { thread_id: thread.id, thread_message_ids: [] };
+                }
+
+                const saved = await appendThreadMessages(thread.id, [
+                    ...newMessages,
+                    {
+                        role: 'assistant',
+                        content: choice.content,
+                        ...(choice.toolCalls && { tool_calls: choice.toolCalls })
+                    }
+                ]);
+
+                Logger.info('Thread messages saved', {
+                    requestId,
+                    threadId: thread.id,
+                    model,
+                    savedMessages: saved.length
+                });
+
+                return {
+                    thread_id: thread.id,
+                    thread_message_ids: saved.map(row => row.id)
+                };
+            }
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in thread messages endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in thread messages endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
@@ -0,0 +1,142 @@
+const Logger = require('../../../lib/logger');
+const { ErrorHandler } = require('../../../lib/errorHandler');
+const { setCorsHeaders } = require('../../../lib/middleware');
+const { validateMessage } = require('../../../lib/chatCompletion');
+const { VALID_MODELS } = require('../../../lib/models');
+const {
+    authenticateApiKey,
+    validateThreadFields,
+    parseListLimit,
+    createThread,
+    listThreads,
+    appendThreadMessages,
+    formatThread
+} = require('../../../lib/threads');
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['GET', 'POST', 'OPTIONS'] }
+            );
+        }
+
+        const validation = await authenticateApiKey(req);
+
+        if (req.method === 'GET') {
+            const limit = parseListLimit(req.query?.limit);
+            const offset = Number(req.query?.offset ?? 0);
+
+            if (!Number.isInteger(offset) || offset < 0) {
+                throw ErrorHandler.BadRequest(
+                    'offset must be a non-negative integer',
+                    'INVALID_OFFSET',
+                    { providedOffset: req.query.offset }
+                );
+            }
+
+            const threads = await listThreads(validation.userId, { limit, offset });
+
+            Logger.info('Threads listed', {
+                requestId,
+                userId: validation.userId,
+                count: threads.length,
+                responseTime: `${Date.now() - startTime}ms`
+            });
+
+            return res.status(200).json({
+                object: 'list',
+                data: threads.map(thread => formatThread(thread)),
+                limit,
+                offset,
+                has_more: threads.length === limit
+            });
+        }
+
+        const { model, title, metadata, messages } = req.body || {};
+
+        if (!VALID_MODELS.includes(model)) {
+            throw ErrorHandler.BadRequest(
+                model ? `Invalid model: ${model}` : 'Model parameter is required',
+                model ? 'INVALID_MODEL' : 'MISSING_MODEL',
+                { providedModel: model, validModels: VALID_MODELS }
+            );
+        }
+
+        validateThreadFields({ title, metadata });
+
+        if (messages !== undefined) {
+            if (!Array.isArray(messages)) {
+                throw ErrorHandler.BadRequest(
+                    'Messages must be an array',
+                    'INVALID_MESSAGES_TYPE',
+                    { receivedType: typeof messages }
+                );
+            }
+
+            messages.forEach((message, index) => validateMessage(message, index));
+        }
+
+        const thread = await createThread(validation.userId, validation.apiKeyId, { model, title, metadata });
+        const savedMessages = messages && messages.length > 0
+            ? await appendThreadMessages(thread.id, messages)
+            : [];
+
+        Logger.info('Thread created', {
+            requestId,
+            userId: validation.userId,
+            threadId: thread.id,
+            model,
+            initialMessages: savedMessages.length,
+            responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return res.status(201).json(formatThread(thread, savedMessages));
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in threads endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in threads endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
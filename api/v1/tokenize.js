@@ -0,0 +1,194 @@
+const { validateApiKey, getApiKeySettings } = require('../../lib/supabase');
+const Logger = require('../../lib/logger');
+const { ErrorHandler } = require('../../lib/errorHandler');
+const { setCorsHeaders } = require('../../lib/middleware');
+const { validateMessage } = require('../../lib/chatCompletion');
+const { countTokens, countChatTokens, getTokenizerName } = require('../../lib/tokenizer');
+const { resolveSystemPrompt, appendCustomInstructions } = require('../../lib/promptRegistry');
+const { resolveLanguage } = require('../../lib/language');
+const { VALID_MODELS } = require('../../lib/models');
+
+const MAX_INPUTS = 256;
+
+export default async function handler(req, res) {
+    const requestId = Logger.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        if (req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed(
+                `Method ${req.method} is not allowed for this endpoint`,
+                'METHOD_NOT_ALLOWED',
+                { allowedMethods: ['POST', 'OPTIONS'] }
+            );
+        }
+
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            throw ErrorHandler.Unauthorized(
+                'Authorization header with Bearer token is required',
+                'MISSING_AUTH_TOKEN',
+                { hint: 'Include Authorization: Bearer <your-api-key> in headers' }
+            );
+        }
+
+        const validation = await validateApiKey(authHeader.substring(7));
+
+        if (!validation.isValid) {
+            throw ErrorHandler.Unauthorized(
+                validation.error || 'Invalid API key',
+                'INVALID_API_KEY',
+                { hint: 'Ensure your API key is active and properly formatted' }
+            );
+        }
+
+        const {
+            model,
+            messages,
+            input,
+            tools,
+            language,
+            prompt_version,
+            include_system_prompt = true
+        } = req.body || {};
+
+        if (!VALID_MODELS.includes(model)) {
+            throw ErrorHandler.BadRequest(
+                model ? `Invalid model: ${model}` : 'Model parameter is required',
+                model ? 'INVALID_MODEL' : 'MISSING_MODEL',
+                { providedModel: model, validModels: VALID_MODELS }
+            );
+        }
+
+        if ((messages === undefined) === (input === undefined)) {
+            throw ErrorHandler.BadRequest(
+                "Provide exactly one of 'messages' or 'input'",
+                'INVALID_TOKENIZE_REQUEST'
+            );
+        }
+
+        if (typeof include_system_prompt !== 'boolean') {
+            throw ErrorHandler.BadRequest(
+                'include_system_prompt must be a boolean',
+                'INVALID_INCLUDE_SYSTEM_PROMPT',
+                { providedValue: include_system_prompt }
+            );
+        }
+
+        let result;
+
+        if (input !== undefined) {
+            const inputs = Array.isArray(input) ? input : [input];
+
+            if (inputs.length === 0 || inputs.length > MAX_INPUTS || inputs.some(item => typeof item !== 'string')) {
+                throw ErrorHandler.BadRequest(
+                    `input must be a string or an array of up to ${MAX_INPUTS} strings`,
+                    'INVALID_INPUT'
+                );
+            }
+
+            const counts = inputs.map(item => countTokens(item, model));
+
+            result = {
+                token_count: counts.reduce((total, count) => total + count, 0),
+                ...(Array.isArray(input) && { token_counts: counts })
+            };
+        } else {
+            if (!Array.isArray(messages) || messages.length === 0) {
+                throw ErrorHandler.BadRequest(
+                    'Messages must be a non-empty array',
+                    'INVALID_MESSAGES_TYPE'
+                );
+            }
+
+            messages.forEach((message, index) => validateMessage(message, index));
+
+            const resolvedLanguage = resolveLanguage({
+                language,
+                acceptLanguage: req.headers['accept-language'],
+                messages
+            });
+            let counted = messages;
+
+            if (include_system_prompt) {
+                const persona = await resolveSystemPrompt(model, resolvedLanguage, prompt_version ?? null);
+                const { customInstructions } = await getApiKeySettings(validation.apiKeyId);
+
+                counted = [
+                    { role: 'system', content: appendCustomInstructions(persona.prompt, customInstructions) },
+                    ...messages
+                ];
+            }
+
+            const count = countChatTokens(counted, model, { tools });
+
+            result = {
+                token_count: count.total,
+                breakdown: {
+                    ...(include_system_prompt && { system_prompt: count.perMessage[0] }),
+                    messages: include_system_prompt ? count.perMessage.slice(1) : count.perMessage,
+                    template_overhead: count.templateTokens,
+                    tools: count.toolTokens,
+                    images: count.imageTokens
+                }
+            };
+        }
+
+        Logger.info('Tokenize request processed', {
+            requestId,
+            userId: validation.userId,
+            model,
+            tokenCount: result.token_count,
+            responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return res.status(200).json({
+            object: 'tokenize',
+            model,
+            tokenizer: getTokenizerName(model),
+            ...result,
+            request_id: requestId
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            Logger.warn('Operational error in tokenize endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in tokenize endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && {
+                    details: error.message
+                })
+            }
+        });
+    }
+}
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+
+// Admin endpoints accept either the ADMIN_SERVICE_TOKEN (for automation) or
+// a Supabase session whose user has `app_metadata.role = 'admin'`.
+// app_metadata can only be set with the service role key, never by the user.
+function matchesSecret(token, secret) {
+    if (!secret) {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const provided = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, provided);
+}
+
+function matchesServiceToken(token) {
+    return matchesSecret(token, process.env.ADMIN_SERVICE_TOKEN);
+}
+
+async function authenticateAdmin(req, requestId) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw ErrorHandler.Unauthorized(
+            'Authorization header with Bearer token is required',
+            'MISSING_AUTH_TOKEN',
+            { hint: 'Include Authorization: Bearer <admin-token> in headers' }
+        );
+    }
+
+    const token = authHeader.substring(7);
+
+    if (!token || token.trim().length === 0) {
+        throw ErrorHandler.Unauthorized(
+            'Authentication token cannot be empty',
+            'EMPTY_AUTH_TOKEN'
+        );
+    }
+
+    if (matchesServiceToken(token)) {
+        return { type: 'service_token', id: 'service' };
+    }
+
+    const { data, error: authError } = await supabase.auth.getUser(token);
+    const user = data?.user;
+
+    if (authError || !user) {
+        Logger.warn('Admin authentication failed', { requestId, error: authError?.message });
+
+        throw ErrorHandler.Unauthorized(
+            'Invalid or expired authentication token',
+            'INVALID_AUTH_TOKEN'
+        );
+    }
+
+    if (user.app_metadata?.role !== 'admin') {
+        Logger.warn('Non-admin user attempted to access an admin endpoint', { requestId, userId: user.id });
+
+        throw ErrorHandler.Forbidden(
+            'This endpoint requires the admin role',
+            'ADMIN_REQUIRED'
+        );
+    }
+
+    return { type: 'user', id: user.id };
+}
+
+// Cron-invoked workers: Vercel Cron sends `Authorization: Bearer $CRON_SECRET`;
+// admins can also trigger a run by hand.
+async function authenticateCron(req, requestId) {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ') &&
+        matchesSecret(authHeader.substring(7), process.env.CRON_SECRET)) {
+        return { type: 'cron', id: 'cron' };
+    }
+
+    return authenticateAdmin(req, requestId);
+}
+
+module.exports = {
+    authenticateAdmin,
+    authenticateCron
+};
@@ -1,143 +1,815 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getProvider, DEFAULT_PROVIDER } = require('./providers');
+const {
+    isSharedStateEnabled,
+    loadRotationState,
+    saveKeyHealth,
+    addRotationWeights,
+    saveKeyOverride
+} = require('./keyRotationStore');
 
+// Each model names its upstream provider (see lib/providers.js) and can
+// override the base URL and upstream model ids, e.g. to serve orzion-mini
+// from a self-hosted vLLM or Ollama server:
+//   ORZION_MINI_PROVIDER=ollama ORZION_MINI_BASE_URL=http://gpu-box:11434/v1
+//   ORZION_MINI_MODEL_ID=llama3.2:3b
+//
+// Upstream keys come from three places, merged into one pool per model:
+//   ORZION_PRO_API_KEY_<N>        any number of keys, with optional
+//                                 ORZION_PRO_API_KEY_<N>_WEIGHT / _LABEL / _RPM
+//   ORZION_UPSTREAM_KEYS          inline JSON, or ORZION_UPSTREAM_KEYS_FILE, a
+//                                 JSON file re-read when it changes:
+//                                 { "orzion-pro": [{ "key": "...", "weight": 2, "label": "team", "rpm": 60 }] }
+//   the admin API                 /api/admin/keys, shared through Postgres with
+//                                 the keys sealed at rest
+// Keys are identified by a fingerprint of the key, never by position.
 const API_KEY_CONFIG = {
     'orzion-pro': {
-        modelId: 'qwen/qwen-2.5-72b-instruct:free',
-        keys: [
-            process.env.ORZION_PRO_API_KEY_1,
-            process.env.ORZION_PRO_API_KEY_2,
-            process.env.ORZION_PRO_API_KEY_3
-        ].filter(key => key),
-        currentIndex: 0,
-        failureCount: 0
+        provider: process.env.ORZION_PRO_PROVIDER || DEFAULT_PROVIDER,
+        baseUrl: process.env.ORZION_PRO_BASE_URL || null,
+        modelId: process.env.ORZION_PRO_MODEL_ID || 'qwen/qwen-2.5-72b-instruct:free',
+        visionModelId: process.env.ORZION_PRO_VISION_MODEL_ID || 'qwen/qwen2.5-vl-72b-instruct:free'
     },
     'orzion-turbo': {
-        modelId: 'meta-llama/llama-3.2-3b-instruct:free',
-        keys: [
-            process.env.ORZION_TURBO_API_KEY_1,
-            process.env.ORZION_TURBO_API_KEY_2,
-            process.env.ORZION_TURBO_API_KEY_3
-        ].filter(key => key),
-        currentIndex: 0,
-        failureCount: 0
+        provider: process.env.ORZION_TURBO_PROVIDER || DEFAULT_PROVIDER,
+        baseUrl: process.env.ORZION_TURBO_BASE_URL || null,
+        modelId: process.env.ORZION_TURBO_MODEL_ID || 'meta-llama/llama-3.2-3b-instruct:free',
+        visionModelId: process.env.ORZION_TURBO_VISION_MODEL_ID || 'meta-llama/llama-3.2-11b-vision-instruct:free'
     },
     'orzion-mini': {
-        modelId: 'meta-llama/llama-3.2-3b-instruct:free',
-        keys: [
-            process.env.ORZION_MINI_API_KEY_1,
-            process.env.ORZION_MINI_API_KEY_2,
-            process.env.ORZION_MINI_API_KEY_3
-        ].filter(key => key),
-        currentIndex: 0,
-        failureCount: 0
+        provider: process.env.ORZION_MINI_PROVIDER || DEFAULT_PROVIDER,
+        baseUrl: process.env.ORZION_MINI_BASE_URL || null,
+        modelId: process.env.ORZION_MINI_MODEL_ID || 'meta-llama/llama-3.2-3b-instruct:free',
+        visionModelId: process.env.ORZION_MINI_VISION_MODEL_ID || null
+    },
+    // Embedding model behind /api/v1/embeddings (keys: ORZION_EMBED_API_KEY_<N>)
+    'orzion-embed': {
+        provider: process.env.ORZION_EMBED_PROVIDER || DEFAULT_PROVIDER,
+        baseUrl: process.env.ORZION_EMBED_BASE_URL || null,
+        modelId: process.env.ORZION_EMBED_MODEL_ID || 'openai/text-embedding-3-small',
+        visionModelId: null
     }
 };
 
-function getCurrentApiKey(model) {
+// Every key has its own circuit breaker:
+//   closed     in rotation
+//   open       skipped until `openUntil`, after repeated failures, a
+//              Retry-After or an exhausted quota
+//   half_open  cooldown over; one probe request is in flight, and its outcome
+//              closes or re-opens the key
+//   disabled   rejected by upstream (401/403); never picked again until an
+//              admin re-enables it. A replaced key gets a fresh fingerprint
+const KEY_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+    DISABLED: 'disabled'
+};
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 15 * 60 * 1000;
+const QUOTA_COOLDOWN_MS = 60 * 60 * 1000;
+// A probe that never reported back (e.g. the function was frozen) stops
+// blocking the key after this long
+const PROBE_TIMEOUT_MS = 2 * 60 * 1000;
+// How long an instance trusts its copy of the shared rotation state
+const DEFAULT_STATE_CACHE_MS = 5000;
+const RPM_WINDOW_MS = 60 * 1000;
+const MAX_KEY_WEIGHT = 1000;
+const MAX_LABEL_LENGTH = 100;
+// Upstream failures kept per model (per instance) for the admin status
+const RECENT_ERROR_LIMIT = 50;
+
+function createKeyHealth() {
+    return {
+        state: KEY_STATES.CLOSED,
+        consecutiveFailures: 0,
+        consecutiveOpens: 0,
+        lastErrorClass: null,
+        lastFailureAt: null,
+        openUntil: null,
+        probeStartedAt: null,
+        updatedAt: 0
+    };
+}
+
+function fingerprintKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+function parseWeight(value) {
+    const weight = Number(value);
+    return weight > 0 ? Math.min(weight, MAX_KEY_WEIGHT) : 1;
+}
+
+function parseRpm(value) {
+    const rpm = parseInt(value, 10);
+    return rpm > 0 ? rpm : null;
+}
+
+let keysFileCache = { path: null, mtimeMs: 0, data: {} };
+
+function readUpstreamKeysJson() {
+    const sources = [];
+
+    if (process.env.ORZION_UPSTREAM_KEYS) {
+        sources.push({ name: 'ORZION_UPSTREAM_KEYS', read: () => JSON.parse(process.env.ORZION_UPSTREAM_KEYS) });
+    }
+
+    const filePath = process.env.ORZION_UPSTREAM_KEYS_FILE;
+
+    if (filePath) {
+        sources.push({
+            name: filePath,
+            read: () => {
+                const { mtimeMs } = fs.statSync(filePath);
+
+                if (keysFileCache.path !== filePath || keysFileCache.mtimeMs !== mtimeMs) {
+                    keysFileCache = { path: filePath, mtimeMs, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+                }
+
+                return keysFileCache.data;
+            }
+        });
+    }
+
+    return sources.map(source => {
+        try {
+            return source.read() || {};
+        } catch (error) {
+            Logger.error('Invalid upstream key configuration, ignoring it', { source: source.name, error: error.message });
+            return {};
+        }
+    });
+}
+
+// Keys from the environment and the JSON config, in declaration order
+function loadStaticKeys(model) {
+    const prefix = `${model.replace(/-/g, '_').toUpperCase()}_API_KEY_`;
+    const pattern = new RegExp(`^${prefix}(\\d+)$`);
+    const entries = Object.keys(process.env)
+        .map(name => ({ name, match: name.match(pattern) }))
+        .filter(({ name, match }) => match && process.env[name])
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+        .map(({ name, match }) => ({
+            key: process.env[name],
+            label: process.env[`${name}_LABEL`] || `key-${match[1]}`,
+            weight: parseWeight(process.env[`${name}_WEIGHT`]),
+            rpm: parseRpm(process.env[`${name}_RPM`]),
+            source: 'env'
+        }));
+
+    for (const config of readUpstreamKeysJson()) {
+        const modelKeys = Array.isArray(config[model]) ? config[model] : [];
+
+        modelKeys.forEach((item, index) => {
+            const key = typeof item === 'string' ? item : item?.key;
+
+            if (typeof key === 'string' && key.length > 0) {
+                entries.push({
+                    key,
+                    label: (typeof item === 'object' && item.label) || `config-${index + 1}`,
+                    weight: parseWeight(item?.weight),
+                    rpm: parseRpm(item?.rpm),
+                    source: 'config'
+                });
+            }
+        });
+    }
+
+    return entries;
+}
+
+// Rebuilds the model's pool from static keys plus admin overrides, keeping
+// the health and counters of keys that were already in it
+function rebuildPool(model, config) {
+    const previous = new Map((config.keys || []).map(entry => [entry.id, entry]));
+    const pool = new Map();
+
+    for (const item of loadStaticKeys(model)) {
+        const id = fingerprintKey(item.key);
+
+        if (!pool.has(id)) {
+            pool.set(id, { id, ...item, disabled: false });
+        }
+    }
+
+    for (const [id, override] of config.overrides) {
+        const entry = pool.get(id);
+
+        if (override.removed) {
+            pool.delete(id);
+        } else if (entry) {
+            pool.set(id, {
+                ...entry,
+                label: override.label ?? entry.label,
+                weight: override.weight ?? entry.weight,
+                rpm: override.rpm === undefined ? entry.rpm : override.rpm,
+                disabled: Boolean(override.disabled)
+            });
+        } else if (override.key) {
+            pool.set(id, {
+                id,
+                key: override.key,
+                label: override.label || `admin-${id.slice(0, 8)}`,
+                weight: parseWeight(override.weight),
+                rpm: parseRpm(override.rpm),
+                source: 'admin',
+                disabled: Boolean(override.disabled)
+            });
+        }
+    }
+
+    config.keys = [...pool.values()].map(entry => {
+        const existing = previous.get(entry.id);
+
+        return {
+            ...entry,
+            health: existing ? existing.health : createKeyHealth(),
+            currentWeight: existing ? existing.currentWeight : 0,
+            recentRequests: existing ? existing.recentRequests : []
+        };
+    });
+}
+
+for (const model in API_KEY_CONFIG) {
     const config = API_KEY_CONFIG[model];
-    
-    if (!config || !config.keys || config.keys.length === 0) {
+    config.overrides = new Map();
+    config.recentErrors = [];
+    config.syncedAt = 0;
+    config.syncing = null;
+    rebuildPool(model, config);
+}
+
+function getStateCacheMs() {
+    const ms = parseInt(process.env.KEY_ROTATION_STATE_CACHE_MS, 10);
+    return ms >= 0 ? ms : DEFAULT_STATE_CACHE_MS;
+}
+
+function findKey(config, keyId) {
+    return config.keys.find(entry => entry.id === keyId) || null;
+}
+
+// Shared-state writes are fire-and-forget: a failed write only means other
+// instances learn about the key a little later
+function persistKeyHealth(model, entry) {
+    entry.health.updatedAt = Date.now();
+
+    if (isSharedStateEnabled()) {
+        saveKeyHealth(model, entry.id, entry.health).catch(error => {
+            Logger.error('Failed to share API key health', { model, keyLabel: entry.label, error: error.message });
+        });
+    }
+}
+
+// Pulls key health, round-robin counters and admin pool changes other
+// instances have written, at most once per KEY_ROTATION_STATE_CACHE_MS, and
+// re-reads the JSON key file. Newer local health wins, and on any error the
+// instance carries on with what it has in memory.
+async function syncRotationState(model) {
+    const config = API_KEY_CONFIG[model];
+
+    if (!config || Date.now() - config.syncedAt < getStateCacheMs()) {
+        return;
+    }
+
+    if (!isSharedStateEnabled()) {
+        config.syncedAt = Date.now();
+        rebuildPool(model, config);
+        return;
+    }
+
+    if (!config.syncing) {
+        config.syncing = loadRotationState(model)
+            .then(({ health, weights, overrides }) => {
+                config.overrides = overrides;
+                rebuildPool(model, config);
+
+                for (const entry of config.keys) {
+                    const shared = health.get(entry.id);
+
+                    if (shared && shared.updatedAt > entry.health.updatedAt) {
+                        Object.assign(entry.health, shared);
+                    }
+
+                    // The shared counters already include this instance's steps
+                    if (weights.has(entry.id)) {
+                        entry.currentWeight = weights.get(entry.id);
+                    }
+                }
+            })
+            .catch(error => {
+                Logger.error('Shared API key rotation state unavailable, using local state', {
+                    model,
+                    error: error.message
+                });
+            })
+            .finally(() => {
+                config.syncedAt = Date.now();
+                config.syncing = null;
+            });
+    }
+
+    return config.syncing;
+}
+
+function isKeySelectable(health, now) {
+    switch (health.state) {
+        case KEY_STATES.CLOSED:
+            return true;
+        case KEY_STATES.OPEN:
+            return health.openUntil <= now;
+        case KEY_STATES.HALF_OPEN:
+            return health.probeStartedAt <= now - PROBE_TIMEOUT_MS;
+        default:
+            return false;
+    }
+}
+
+// Per-key RPM ceilings are counted per instance
+function isUnderRpm(entry, now) {
+    while (entry.recentRequests.length > 0 && entry.recentRequests[0] <= now - RPM_WINDOW_MS) {
+        entry.recentRequests.shift();
+    }
+
+    return entry.rpm === null || entry.recentRequests.length < entry.rpm;
+}
+
+// Shares a selection's round-robin step: every candidate gained its weight
+// and the selected key gave back the total. Steps only add up, so
+// concurrent writes from other instances are never lost.
+function persistRotationStep(model, candidates, selected, totalWeight) {
+    if (!isSharedStateEnabled()) {
+        return;
+    }
+
+    const deltas = candidates.map(entry => [
+        entry.id,
+        entry === selected ? entry.weight - totalWeight : entry.weight
+    ]);
+
+    addRotationWeights(model, deltas).catch(error => {
+        Logger.error('Failed to share API key rotation step', { model, error: error.message });
+    });
+}
+
+// Smooth weighted round-robin over the usable keys: each key gets its share
+// of requests by weight, without bursts on the heaviest one. Keys in
+// `excludeKeyIds` (already tried by this request) are only used when nothing
+// else is left. Picking a key whose cooldown has expired makes it the probe.
+function selectKey(model, config, excludeKeyIds) {
+    const now = Date.now();
+    let candidates = config.keys.filter(entry =>
+        !entry.disabled && isKeySelectable(entry.health, now) && isUnderRpm(entry, now));
+    const untried = candidates.filter(entry => !excludeKeyIds.includes(entry.id));
+
+    if (untried.length > 0) {
+        candidates = untried;
+    }
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const totalWeight = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+    let selected = null;
+
+    for (const entry of candidates) {
+        entry.currentWeight += entry.weight;
+
+        if (!selected || entry.currentWeight > selected.currentWeight) {
+            selected = entry;
+        }
+    }
+
+    selected.currentWeight -= totalWeight;
+    selected.recentRequests.push(now);
+    persistRotationStep(model, candidates, selected, totalWeight);
+
+    if (selected.health.state !== KEY_STATES.CLOSED) {
+        selected.health.state = KEY_STATES.HALF_OPEN;
+        selected.health.probeStartedAt = now;
+        persistKeyHealth(model, selected);
+        Logger.info('Probing API key after cooldown', { model, keyLabel: selected.label });
+    }
+
+    return selected;
+}
+
+function getCurrentApiKey(model, { excludeKeyIds = [] } = {}) {
+    const config = API_KEY_CONFIG[model];
+    const provider = config ? getProvider(config.provider) : null;
+
+    if (config && !provider) {
+        Logger.error('Unknown upstream provider configured for model', { model, provider: config.provider });
+        throw new Error(`Proveedor desconocido '${config.provider}' para el modelo: ${model}`);
+    }
+
+    // Self-hosted providers may run without keys and get one keyless slot
+    if (!config || (config.keys.length === 0 && provider.requiresApiKey)) {
         Logger.error('No API keys configured for model', { model });
         throw new Error(`No hay claves API configuradas para el modelo: ${model}`);
     }
 
-    const currentKey = config.keys[config.currentIndex];
-    
+    const baseUrl = config.baseUrl || provider.defaultBaseUrl;
+
+    if (!baseUrl) {
+        Logger.error('No base URL configured for model', { model, provider: config.provider });
+        throw new Error(`No hay URL base configurada para el modelo: ${model}`);
+    }
+
+    const hasKeys = config.keys.length > 0;
+    const entry = hasKeys ? selectKey(model, config, excludeKeyIds) : null;
+
+    if (hasKeys && !entry) {
+        Logger.error('No API key for model is currently usable', { model, totalKeys: config.keys.length });
+        throw new Error(`Todas las claves API del modelo ${model} están en enfriamiento, deshabilitadas o al límite de RPM`);
+    }
+
     return {
-        key: currentKey,
-        keyIndex: config.currentIndex,
-        totalKeys: config.keys.length,
-        modelId: config.modelId
+        key: entry ? entry.key : null,
+        keyId: entry ? entry.id : null,
+        keyLabel: entry ? entry.label : null,
+        keyIndex: entry ? config.keys.indexOf(entry) : 0,
+        totalKeys: hasKeys ? config.keys.length : 1,
+        provider,
+        baseUrl,
+        modelId: config.modelId,
+        visionModelId: config.visionModelId
     };
 }
 
-function rotateApiKey(model, reason = 'unknown') {
+function supportsVision(model) {
     const config = API_KEY_CONFIG[model];
-    
-    if (!config || !config.keys || config.keys.length === 0) {
-        Logger.error('Cannot rotate: no keys available for model', { model });
+    return Boolean(config && config.visionModelId);
+}
+
+function getCooldownMs(health, { reason, retryAfterMs }) {
+    const backoff = Math.min(BASE_COOLDOWN_MS * 2 ** (health.consecutiveOpens - 1), MAX_COOLDOWN_MS);
+    const floor = reason === 'quota_exhausted' ? QUOTA_COOLDOWN_MS : 0;
+
+    return Math.max(backoff, retryAfterMs || 0, floor);
+}
+
+// Records an upstream failure of the key `keyId` (as returned by
+// getCurrentApiKey). `failure` is a provider classification:
+// { reason, statusCode, retryAfterMs }.
+function rotateApiKey(model, keyId, failure = {}) {
+    const config = API_KEY_CONFIG[model];
+    const entry = config ? findKey(config, keyId) : null;
+
+    if (!entry) {
+        Logger.error('Cannot rotate: key is not in the pool for model', { model });
         return;
     }
 
-    const previousIndex = config.currentIndex;
-    config.currentIndex = (config.currentIndex + 1) % config.keys.length;
-    config.failureCount++;
+    const health = entry.health;
+    const reason = failure.reason || 'unknown';
+
+    health.consecutiveFailures++;
+    health.lastErrorClass = reason;
+    health.lastFailureAt = Date.now();
+
+    if (failure.statusCode === 401 || failure.statusCode === 403) {
+        health.state = KEY_STATES.DISABLED;
+        health.openUntil = null;
+        Logger.error('API key disabled after upstream rejected it', {
+            model,
+            keyLabel: entry.label,
+            statusCode: failure.statusCode
+        });
+    } else if (health.state === KEY_STATES.HALF_OPEN ||
+               health.consecutiveFailures >= FAILURE_THRESHOLD ||
+               failure.retryAfterMs ||
+               reason === 'quota_exhausted') {
+        health.consecutiveOpens++;
+        health.state = KEY_STATES.OPEN;
+        health.openUntil = health.lastFailureAt + getCooldownMs(health, failure);
+        Logger.warn('API key circuit opened', {
+            model,
+            keyLabel: entry.label,
+            reason,
+            consecutiveFailures: health.consecutiveFailures,
+            cooldownMs: health.openUntil - health.lastFailureAt
+        });
+    }
+
+    health.probeStartedAt = null;
+    persistKeyHealth(model, entry);
 
     Logger.warn('API key rotated', {
         model,
-        previousKeyIndex: previousIndex + 1,
-        newKeyIndex: config.currentIndex + 1,
+        keyLabel: entry.label,
         totalKeys: config.keys.length,
         reason,
-        failureCount: config.failureCount
+        keyState: health.state
     });
-    
-    if (config.currentIndex === 0 && config.failureCount >= config.keys.length) {
-        Logger.warn('Completed full rotation cycle for model', {
-            model,
-            failureCount: config.failureCount,
-            totalKeys: config.keys.length
-        });
+}
+
+// Records a successful call on the key `keyId`, closing its circuit
+function recordKeySuccess(model, keyId) {
+    const config = API_KEY_CONFIG[model];
+    const entry = config ? findKey(config, keyId) : null;
+
+    if (!entry || entry.health.state === KEY_STATES.DISABLED) {
+        return;
+    }
+
+    const health = entry.health;
+
+    if (health.state === KEY_STATES.CLOSED && health.consecutiveFailures === 0) {
+        return;
     }
+
+    Logger.info('API key healthy again', {
+        model,
+        keyLabel: entry.label,
+        previousState: health.state,
+        previousFailures: health.consecutiveFailures
+    });
+
+    Object.assign(health, createKeyHealth(), {
+        lastErrorClass: health.lastErrorClass,
+        lastFailureAt: health.lastFailureAt
+    });
+    persistKeyHealth(model, entry);
 }
 
-function resetFailureCount(model) {
+// Remembers every failed upstream call, including the ones that do not
+// count against a key (e.g. a 400 for a bad request)
+function recordUpstreamError(model, keyId, failure) {
     const config = API_KEY_CONFIG[model];
-    
-    if (config) {
-        const previousFailures = config.failureCount;
-        config.failureCount = 0;
-        
-        if (previousFailures > 0) {
-            Logger.info('Reset failure count for model', {
-                model,
-                previousFailures
-            });
-        }
+
+    if (!config) {
+        return;
+    }
+
+    const entry = keyId ? findKey(config, keyId) : null;
+
+    config.recentErrors.push({
+        error_class: failure.reason || 'unknown_error',
+        status_code: failure.statusCode || null,
+        key_label: entry ? entry.label : null,
+        at: new Date().toISOString()
+    });
+
+    if (config.recentErrors.length > RECENT_ERROR_LIMIT) {
+        config.recentErrors.shift();
+    }
+}
+
+function summarizeRecentErrors(config) {
+    const byClass = {};
+
+    for (const error of config.recentErrors) {
+        byClass[error.error_class] = (byClass[error.error_class] || 0) + 1;
+    }
+
+    return {
+        total: config.recentErrors.length,
+        by_class: byClass,
+        latest: config.recentErrors.slice(-10).reverse()
+    };
+}
+
+// What can be sent to a model right now: the number of usable keys and their
+// combined RPM ceiling, or null when a usable key has no ceiling. Keyless
+// self-hosted providers count as one unlimited slot.
+function getPoolCapacity(model) {
+    const config = API_KEY_CONFIG[model];
+
+    if (!config) {
+        return { usableKeys: 0, rpm: null };
+    }
+
+    if (config.keys.length === 0) {
+        const provider = getProvider(config.provider);
+        return { usableKeys: provider && !provider.requiresApiKey ? 1 : 0, rpm: null };
     }
+
+    const now = Date.now();
+    const usable = config.keys.filter(entry => !entry.disabled && isKeySelectable(entry.health, now));
+
+    return {
+        usableKeys: usable.length,
+        rpm: usable.some(entry => entry.rpm === null) ? null : usable.reduce((sum, entry) => sum + entry.rpm, 0)
+    };
 }
 
 function allKeysFailed(model) {
     const config = API_KEY_CONFIG[model];
-    
+
     if (!config || !config.keys || config.keys.length === 0) {
         return true;
     }
-    
-    return config.failureCount >= config.keys.length;
+
+    const now = Date.now();
+    return !config.keys.some(entry => !entry.disabled && isKeySelectable(entry.health, now));
+}
+
+function formatKeyEntry(entry) {
+    const health = entry.health;
+
+    return {
+        id: entry.id,
+        label: entry.label,
+        key_preview: `...${entry.key.slice(-4)}`,
+        source: entry.source,
+        weight: entry.weight,
+        rpm: entry.rpm,
+        disabled: entry.disabled,
+        state: health.state,
+        consecutive_failures: health.consecutiveFailures,
+        last_error_class: health.lastErrorClass,
+        last_failure_at: health.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null,
+        cooldown_until: health.state === KEY_STATES.OPEN ? new Date(health.openUntil).toISOString() : null
+    };
 }
 
 function getRotationStats(model) {
     const config = API_KEY_CONFIG[model];
-    
+
     if (!config) {
         return null;
     }
-    
+
     return {
         model: model,
+        provider: config.provider,
         totalKeys: config.keys.length,
-        currentKeyIndex: config.currentIndex,
-        failureCount: config.failureCount,
-        allKeysFailed: allKeysFailed(model)
+        allKeysFailed: allKeysFailed(model),
+        keys: config.keys.map(formatKeyEntry),
+        recentErrors: summarizeRecentErrors(config)
     };
 }
 
 function getAllRotationStats() {
     const stats = {};
-    
+
     for (const model in API_KEY_CONFIG) {
         stats[model] = getRotationStats(model);
     }
-    
+
     return stats;
 }
 
+function getModelConfig(model) {
+    const config = API_KEY_CONFIG[model];
+
+    if (!config) {
+        throw ErrorHandler.BadRequest(
+            `Unknown model '${model}'`,
+            'INVALID_MODEL',
+            { validModels: Object.keys(API_KEY_CONFIG) }
+        );
+    }
+
+    return config;
+}
+
+function validateKeyOptions({ label, weight, rpm, disabled }) {
+    if (label !== undefined && (typeof label !== 'string' || label.trim().length === 0 || label.length > MAX_LABEL_LENGTH)) {
+        throw ErrorHandler.BadRequest(
+            `label must be a non-empty string of up to ${MAX_LABEL_LENGTH} characters`,
+            'INVALID_KEY_LABEL'
+        );
+    }
+
+    if (weight !== undefined && (typeof weight !== 'number' || !(weight > 0) || weight > MAX_KEY_WEIGHT)) {
+        throw ErrorHandler.BadRequest(
+            `weight must be a number greater than 0 and at most ${MAX_KEY_WEIGHT}`,
+            'INVALID_KEY_WEIGHT',
+            { providedValue: weight }
+        );
+    }
+
+    if (rpm !== undefined && rpm !== null && (!Number.isInteger(rpm) || rpm < 1)) {
+        throw ErrorHandler.BadRequest(
+            'rpm must be a positive integer, or null for no limit',
+            'INVALID_KEY_RPM',
+            { providedValue: rpm }
+        );
+    }
+
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+        throw ErrorHandler.BadRequest(
+            'disabled must be a boolean',
+            'INVALID_KEY_DISABLED',
+            { receivedType: typeof disabled }
+        );
+    }
+}
+
+// Admin changes apply to this instance at once and reach the others on
+// their next sync. Without shared state they only affect this instance.
+async function applyKeyOverride(model, config, keyId, override) {
+    if (isSharedStateEnabled()) {
+        await saveKeyOverride(model, keyId, override);
+    }
+
+    config.overrides.set(keyId, override);
+    rebuildPool(model, config);
+}
+
+function toOverride(entry, changes = {}) {
+    return {
+        key: entry.source === 'admin' ? entry.key : null,
+        label: entry.label,
+        weight: entry.weight,
+        rpm: entry.rpm,
+        disabled: entry.disabled,
+        removed: false,
+        ...changes
+    };
+}
+
+async function addApiKey(model, { key, label, weight, rpm }) {
+    const config = getModelConfig(model);
+
+    if (typeof key !== 'string' || key.trim().length === 0) {
+        throw ErrorHandler.BadRequest('key must be a non-empty string', 'INVALID_KEY');
+    }
+
+    validateKeyOptions({ label, weight, rpm });
+
+    const keyId = fingerprintKey(key.trim());
+
+    if (findKey(config, keyId)) {
+        throw ErrorHandler.Conflict('This key is already in the pool for the model', 'KEY_ALREADY_EXISTS', { id: keyId });
+    }
+
+    await applyKeyOverride(model, config, keyId, {
+        key: key.trim(),
+        label: label ? label.trim() : null,
+        weight: weight ?? 1,
+        rpm: rpm ?? null,
+        disabled: false,
+        removed: false
+    });
+
+    return formatKeyEntry(findKey(config, keyId));
+}
+
+async function updateApiKey(model, keyId, changes) {
+    const config = getModelConfig(model);
+    const entry = findKey(config, keyId);
+
+    if (!entry) {
+        throw ErrorHandler.NotFound('Key not found in the pool for the model', 'KEY_NOT_FOUND', { id: keyId });
+    }
+
+    validateKeyOptions(changes);
+
+    const update = {};
+    ['label', 'weight', 'rpm', 'disabled'].forEach(field => {
+        if (changes[field] !== undefined) {
+            update[field] = field === 'label' ? changes.label.trim() : changes[field];
+        }
+    });
+
+    await applyKeyOverride(model, config, keyId, toOverride(entry, update));
+
+    const updated = findKey(config, keyId);
+
+    // Re-enabling is how an admin brings back a key the breaker disabled
+    if (changes.disabled === false && updated.health.state !== KEY_STATES.CLOSED) {
+        Object.assign(updated.health, createKeyHealth());
+        persistKeyHealth(model, updated);
+    }
+
+    return formatKeyEntry(updated);
+}
+
+// Keys from the environment or the JSON config stay removed until their
+// row is deleted from `upstream_keys`; removing an admin key also drops the
+// stored secret
+async function removeApiKey(model, keyId) {
+    const config = getModelConfig(model);
+    const entry = findKey(config, keyId);
+
+    if (!entry) {
+        throw ErrorHandler.NotFound('Key not found in the pool for the model', 'KEY_NOT_FOUND', { id: keyId });
+    }
+
+    await applyKeyOverride(model, config, keyId, toOverride(entry, { key: null, removed: true }));
+}
+
 module.exports = {
     getCurrentApiKey,
+    syncRotationState,
+    supportsVision,
     rotateApiKey,
-    resetFailureCount,
+    recordKeySuccess,
+    recordUpstreamError,
     allKeysFailed,
+    getPoolCapacity,
     getRotationStats,
-    getAllRotationStats
+    getAllRotationStats,
+    addApiKey,
+    updateApiKey,
+    removeApiKey,
+    KEY_STATES
 };
@@ -0,0 +1,667 @@
+const { supabase } = require('./supabase');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { deriveSealingKey, sealSecret, openSecret } = require('./sealedSecrets');
+const { VALID_MODELS } = require('./models');
+const { handleChatCompletion } = require('./chatCompletion');
+const { syncRotationState, getPoolCapacity } = require('./apiKeyRotation');
+
+// Batches are stored in two Supabase tables:
+//   batches:         id uuid pk, user_id uuid, api_key_id, sealed_api_key text,
+//                    status text, metadata jsonb, total_count int, completed_count int,
+//                    failed_count int, locked_until timestamptz, created_at timestamptz,
+//                    in_progress_at timestamptz, completed_at timestamptz,
+//                    cancelled_at timestamptz
+//   batch_requests:  id uuid pk, batch_id uuid references batches on delete cascade,
+//                    line_number int, custom_id text, body jsonb, status text,
+//                    attempts int, response jsonb, error jsonb, completed_at timestamptz
+// Lines run through the regular chat pipeline with the caller's API key, so
+// they are validated, limited and billed like any other request. The key is
+// kept encrypted (BATCH_ENCRYPTION_KEY, or the Supabase service key) only
+// until the batch finishes or is cancelled.
+const BATCH_ENDPOINT = '/v1/chat/completions';
+const USAGE_ENDPOINT = '/api/v1/batches';
+const MAX_BATCH_LINES = 10000;
+const MAX_CUSTOM_ID_LENGTH = 255;
+const INSERT_CHUNK_SIZE = 500;
+const RESULTS_PAGE_SIZE = 1000;
+const DEFAULT_BATCH_DISCOUNT = 0.5;
+// Lines that hit a rate limit or a transient upstream failure are retried on
+// a later run, up to MAX_LINE_ATTEMPTS times
+const RETRYABLE_STATUS_CODES = [429, 503];
+const MAX_LINE_ATTEMPTS = 3;
+const LINES_PER_FETCH = 25;
+const MAX_BATCHES_PER_RUN = 10;
+const DEFAULT_LINE_INTERVAL_MS = 200;
+const DEFAULT_WORKER_BUDGET_MS = 30000;
+// Upstream calls of a line stop after this long, and a claimed batch stays
+// locked until the last line a run may start has run out of time. The worker
+// budget plus both must fit within the cron's maxDuration.
+const MAX_LINE_DURATION_MS = 20000;
+const LOCK_GRACE_MS = 10000;
+const ACTIVE_STATUSES = ['queued', 'in_progress'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function getBatchDiscount() {
+    const discount = parseFloat(process.env.BATCH_DISCOUNT);
+    return discount >= 0 && discount <= 1 ? discount : DEFAULT_BATCH_DISCOUNT;
+}
+
+function getLineIntervalMs() {
+    const ms = parseInt(process.env.BATCH_LINE_INTERVAL_MS, 10);
+    return ms >= 0 ? ms : DEFAULT_LINE_INTERVAL_MS;
+}
+
+function getWorkerBudgetMs() {
+    const ms = parseInt(process.env.BATCH_WORKER_BUDGET_MS, 10);
+    return ms > 0 ? ms : DEFAULT_WORKER_BUDGET_MS;
+}
+
+function getSealingKey() {
+    const secret = process.env.BATCH_ENCRYPTION_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!secret) {
+        throw ErrorHandler.ServiceUnavailable(
+            'Batches are not available: no encryption key is configured',
+            'BATCHES_NOT_CONFIGURED'
+        );
+    }
+
+    return deriveSealingKey(secret);
+}
+
+function toDatabaseError(operation, table, error) {
+    return ErrorHandler.InternalError(
+        `Failed to ${operation}`,
+        'DATABASE_ERROR',
+        {
+            table,
+            supabaseError: error.message,
+            errorCode: error.code,
+            hint: error.hint
+        }
+    );
+}
+
+function invalidLine(lineNumber, message) {
+    return ErrorHandler.BadRequest(
+        `Invalid batch input on line ${lineNumber}: ${message}`,
+        'INVALID_BATCH_LINE',
+        { line: lineNumber }
+    );
+}
+
+// Parses the uploaded JSONL. Each line is
+//   { "custom_id": "...", "method": "POST", "url": "/v1/chat/completions", "body": { model, messages, ... } }
+// where method and url are optional. Lines are checked here only for shape;
+// the chat pipeline validates each body when the line runs.
+function parseBatchInput(input) {
+    if (typeof input !== 'string' || input.trim().length === 0) {
+        throw ErrorHandler.BadRequest(
+            'Batch input must be a non-empty JSONL document',
+            'INVALID_BATCH_INPUT',
+            { hint: 'Send the JSONL as a text/plain body, or as the "input" field of a JSON body' }
+        );
+    }
+
+    const lines = [];
+    const customIds = new Set();
+
+    input.split(/\r?\n/).forEach((text, index) => {
+        const lineNumber = index + 1;
+
+        if (text.trim().length === 0) {
+            return;
+        }
+
+        let line;
+
+        try {
+            line = JSON.parse(text);
+        } catch (error) {
+            throw invalidLine(lineNumber, 'not valid JSON');
+        }
+
+        if (!line || typeof line !== 'object' || Array.isArray(line)) {
+            throw invalidLine(lineNumber, 'each line must be a JSON object');
+        }
+
+        const { custom_id, method, url, body } = line;
+
+        if (typeof custom_id !== 'string' || custom_id.length === 0 || custom_id.length > MAX_CUSTOM_ID_LENGTH) {
+            throw invalidLine(lineNumber, `custom_id must be a non-empty string of up to ${MAX_CUSTOM_ID_LENGTH} characters`);
+        }
+
+        if (customIds.has(custom_id)) {
+            throw invalidLine(lineNumber, `duplicate custom_id '${custom_id}'`);
+        }
+
+        if ((method !== undefined && method !== 'POST') || (url !== undefined && url !== BATCH_ENDPOINT)) {
+            throw invalidLine(lineNumber, `only POST ${BATCH_ENDPOINT} is supported`);
+        }
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw invalidLine(lineNumber, 'body must be an object');
+        }
+
+        if (!VALID_MODELS.includes(body.model)) {
+            throw invalidLine(lineNumber, `body.model must be one of ${VALID_MODELS.join(', ')}`);
+        }
+
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            throw invalidLine(lineNumber, 'body.messages must be a non-empty array');
+        }
+
+        if (body.stream) {
+            throw invalidLine(lineNumber, 'streaming is not supported in batches');
+        }
+
+        customIds.add(custom_id);
+        lines.push({ custom_id, body });
+    });
+
+    if (lines.length === 0) {
+        throw ErrorHandler.BadRequest('Batch input has no requests', 'INVALID_BATCH_INPUT');
+    }
+
+    if (lines.length > MAX_BATCH_LINES) {
+        throw ErrorHandler.BadRequest(
+            `A batch can hold at most ${MAX_BATCH_LINES} requests`,
+            'BATCH_TOO_LARGE',
+            { maxRequests: MAX_BATCH_LINES, providedRequests: lines.length }
+        );
+    }
+
+    return lines;
+}
+
+function validateBatchMetadata(metadata) {
+    if (metadata !== undefined && metadata !== null &&
+        (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw ErrorHandler.BadRequest(
+            'metadata must be an object',
+            'INVALID_METADATA',
+            { receivedType: Array.isArray(metadata) ? 'array' : typeof metadata }
+        );
+    }
+}
+
+async function createBatch(validation, apiKey, lines, metadata) {
+    const { data: batch, error } = await supabase
+        .from('batches')
+        .insert({
+            user_id: validation.userId,
+            api_key_id: validation.apiKeyId,
+            sealed_api_key: sealSecret(apiKey, getSealingKey()),
+            status: 'queued',
+            metadata: metadata || {},
+            total_count: lines.length,
+            completed_count: 0,
+            failed_count: 0
+        })
+        .select()
+        .single();
+
+    if (error) {
+        Logger.logDatabaseError('create batch', error, { userId: validation.userId });
+        throw toDatabaseError('create batch', 'batches', error);
+    }
+
+    for (let start = 0; start < lines.length; start += INSERT_CHUNK_SIZE) {
+        const rows = lines.slice(start, start + INSERT_CHUNK_SIZE).map((line, offset) => ({
+            batch_id: batch.id,
+            line_number: start + offset + 1,
+            custom_id: line.custom_id,
+            body: line.body,
+            status: 'pending',
+            attempts: 0
+        }));
+        const { error: insertError } = await supabase.from('batch_requests').insert(rows);
+
+        if (insertError) {
+            Logger.logDatabaseError('store batch requests', insertError, { batchId: batch.id });
+            await supabase.from('batches').delete().eq('id', batch.id);
+            throw toDatabaseError('store batch requests', 'batch_requests', insertError);
+        }
+    }
+
+    return batch;
+}
+
+async function listBatches(userId, { limit, offset = 0 }) {
+    const { data, error } = await supabase
+        .from('batches')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        Logger.logDatabaseError('list batches', error, { userId });
+        throw toDatabaseError('list batches', 'batches', error);
+    }
+
+    return data || [];
+}
+
+async function getBatch(userId, batchId) {
+    const { data, error } = await supabase
+        .from('batches')
+        .select('*')
+        .eq('id', batchId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        Logger.logDatabaseError('fetch batch', error, { userId, batchId });
+        throw toDatabaseError('fetch batch', 'batches', error);
+    }
+
+    if (!data) {
+        throw ErrorHandler.NotFound(
+            'Batch not found',
+            'BATCH_NOT_FOUND',
+            {
+                batchId,
+                hint: 'The batch may not exist or does not belong to your account'
+            }
+        );
+    }
+
+    return data;
+}
+
+async function cancelBatch(userId, batchId) {
+    const batch = await getBatch(userId, batchId);
+
+    if (TERMINAL_STATUSES.includes(batch.status)) {
+        throw ErrorHandler.Conflict(
+            `Batch is already ${batch.status}`,
+            'BATCH_NOT_CANCELLABLE',
+            { batchId, status: batch.status }
+        );
+    }
+
+    const { data, error } = await supabase
+        .from('batches')
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), sealed_api_key: null })
+        .eq('id', batchId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        Logger.logDatabaseError('cancel batch', error, { userId, batchId });
+        throw toDatabaseError('cancel batch', 'batches', error);
+    }
+
+    return data;
+}
+
+function formatResultLine(row) {
+    return JSON.stringify({
+        id: row.id,
+        custom_id: row.custom_id,
+        response: row.response,
+        error: row.error
+    });
+}
+
+// Results and errors of the lines that have finished, in input order, as JSONL
+async function getBatchResults(batchId) {
+    const lines = [];
+
+    for (let offset = 0; ; offset += RESULTS_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('batch_requests')
+            .select('id, custom_id, response, error')
+            .eq('batch_id', batchId)
+            .in('status', ['completed', 'failed'])
+            .order('line_number', { ascending: true })
+            .range(offset, offset + RESULTS_PAGE_SIZE - 1);
+
+        if (error) {
+            Logger.logDatabaseError('fetch batch results', error, { batchId });
+            throw toDatabaseError('fetch batch results', 'batch_requests', error);
+        }
+
+        lines.push(...(data || []).map(formatResultLine));
+
+        if (!data || data.length < RESULTS_PAGE_SIZE) {
+            break;
+        }
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+const toUnixSeconds = value => value ? Math.floor(new Date(value).getTime() / 1000) : null;
+
+function formatBatch(batch) {
+    return {
+        id: batch.id,
+        object: 'batch',
+        endpoint: BATCH_ENDPOINT,
+        status: batch.status,
+        created_at: toUnixSeconds(batch.created_at),
+        in_progress_at: toUnixSeconds(batch.in_progress_at),
+        completed_at: toUnixSeconds(batch.completed_at),
+        cancelled_at: toUnixSeconds(batch.cancelled_at),
+        request_counts: {
+            total: batch.total_count,
+            completed: batch.completed_count,
+            failed: batch.failed_count
+        },
+        billing_discount: getBatchDiscount(),
+        metadata: batch.metadata || {}
+    };
+}
+
+// Minimal stand-in for the HTTP response the chat pipeline writes to
+function createCapturedResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        headersSent: false,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            this.headersSent = true;
+            return this;
+        },
+        end() {
+            this.headersSent = true;
+            return this;
+        }
+    };
+}
+
+async function runBatchLine(line, apiKey) {
+    const deadline = Date.now() + MAX_LINE_DURATION_MS;
+    const req = {
+        method: 'POST',
+        url: USAGE_ENDPOINT,
+        headers: { authorization: `Bearer ${apiKey}` },
+        query: {},
+        body: line.body
+    };
+    const res = createCapturedResponse();
+
+    await handleChatCompletion(req, res, {
+        getModel: (request) => request.body.model,
+        getEndpoint: () => USAGE_ENDPOINT,
+        exemptPerSecondLimit: true,
+        usageDiscount: getBatchDiscount(),
+        deadline
+    });
+
+    return { statusCode: res.statusCode, body: res.body };
+}
+
+async function updateBatchRequest(line, fields) {
+    const { error } = await supabase.from('batch_requests').update(fields).eq('id', line.id);
+
+    if (error) {
+        throw toDatabaseError('update batch request', 'batch_requests', error);
+    }
+}
+
+// Upstream failures surface as 503 API_CALL_FAILED whatever their cause, so
+// look at the upstream status to avoid retrying requests it rejected
+function isRetryable(outcome) {
+    if (!RETRYABLE_STATUS_CODES.includes(outcome.statusCode)) {
+        return false;
+    }
+
+    const upstreamStatus = outcome.body?.error?.details?.lastStatusCode;
+    return !upstreamStatus || upstreamStatus === 429 || upstreamStatus >= 500;
+}
+
+async function recordLineOutcome(line, outcome) {
+    const response = {
+        status_code: outcome.statusCode,
+        request_id: outcome.body?.error?.request_id || null,
+        body: outcome.body
+    };
+
+    if (outcome.statusCode === 200) {
+        await updateBatchRequest(line, {
+            status: 'completed',
+            attempts: line.attempts + 1,
+            response,
+            error: null,
+            completed_at: new Date().toISOString()
+        });
+        return 'completed';
+    }
+
+    if (isRetryable(outcome) && line.attempts + 1 < MAX_LINE_ATTEMPTS) {
+        await updateBatchRequest(line, { attempts: line.attempts + 1 });
+        return 'deferred';
+    }
+
+    await updateBatchRequest(line, {
+        status: 'failed',
+        attempts: line.attempts + 1,
+        response,
+        error: {
+            code: outcome.body?.error?.code || 'BATCH_REQUEST_FAILED',
+            message: outcome.body?.error?.message || 'The request failed'
+        },
+        completed_at: new Date().toISOString()
+    });
+    return 'failed';
+}
+
+async function countLines(batchId, status) {
+    const { count, error } = await supabase
+        .from('batch_requests')
+        .select('id', { count: 'exact', head: true })
+        .eq('batch_id', batchId)
+        .eq('status', status);
+
+    if (error) {
+        throw toDatabaseError('count batch requests', 'batch_requests', error);
+    }
+
+    return count || 0;
+}
+
+// Takes the batch for this run unless another worker holds it. The lock
+// covers the whole run, including the last line started before `deadline`.
+async function claimBatch(batch, deadline) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('batches')
+        .update({
+            status: 'in_progress',
+            in_progress_at: batch.in_progress_at || now,
+            locked_until: new Date(deadline + MAX_LINE_DURATION_MS + LOCK_GRACE_MS).toISOString()
+        })
+        .eq('id', batch.id)
+        .in('status', ACTIVE_STATUSES)
+        .or(`locked_until.is.null,locked_until.lt.${now}`)
+        .select();
+
+    if (error) {
+        throw toDatabaseError('claim batch', 'batches', error);
+    }
+
+    return Boolean(data && data.length === 1);
+}
+
+async function finishRun(batch, { failReason = null } = {}) {
+    const [completed, failed, pending] = await Promise.all([
+        countLines(batch.id, 'completed'),
+        countLines(batch.id, 'failed'),
+        countLines(batch.id, 'pending')
+    ]);
+    const now = new Date().toISOString();
+    const update = { completed_count: completed, failed_count: failed, locked_until: null };
+
+    if (failReason) {
+        Object.assign(update, { status: 'failed', completed_at: now, sealed_api_key: null, metadata: { ...batch.metadata, failure_reason: failReason } });
+    } else if (pending === 0) {
+        Object.assign(update, { status: 'completed', completed_at: now, sealed_api_key: null });
+    }
+
+    // A batch cancelled while this run worked on it stays cancelled
+    const { error } = await supabase.from('batches').update(update).eq('id', batch.id).in('status', ACTIVE_STATUSES);
+
+    if (error) {
+        throw toDatabaseError('update batch', 'batches', error);
+    }
+
+    return update.status || 'in_progress';
+}
+
+async function getBatchStatus(batchId) {
+    const { data, error } = await supabase.from('batches').select('status').eq('id', batchId).maybeSingle();
+
+    if (error) {
+        throw toDatabaseError('fetch batch', 'batches', error);
+    }
+
+    return data?.status || null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs pending lines of one batch until the deadline. Lines are spaced per
+// model by BATCH_LINE_INTERVAL_MS, or wider when the model's key pool has RPM
+// ceilings; a model with no usable key, or whose line came back rate
+// limited, is left for the next run.
+async function runBatch(batch, deadline, pacing, summary, requestId) {
+    let apiKey;
+
+    try {
+        apiKey = openSecret(batch.sealed_api_key, getSealingKey());
+    } catch (error) {
+        Logger.error('Cannot recover the API key of a batch', { requestId, batchId: batch.id, error: error.message });
+        return finishRun(batch, { failReason: 'The API key of this batch could not be recovered' });
+    }
+
+    const deferredModels = new Set();
+
+    while (Date.now() < deadline && ACTIVE_STATUSES.includes(await getBatchStatus(batch.id))) {
+        const { data: lines, error } = await supabase
+            .from('batch_requests')
+            .select('*')
+            .eq('batch_id', batch.id)
+            .eq('status', 'pending')
+            .order('line_number', { ascending: true })
+            .limit(LINES_PER_FETCH);
+
+        if (error) {
+            throw toDatabaseError('fetch batch requests', 'batch_requests', error);
+        }
+
+        const runnable = (lines || []).filter(line => !deferredModels.has(line.body.model));
+
+        if (runnable.length === 0) {
+            break;
+        }
+
+        for (const line of runnable) {
+            const model = line.body.model;
+
+            if (deferredModels.has(model)) {
+                continue;
+            }
+
+            await syncRotationState(model);
+            const capacity = getPoolCapacity(model);
+
+            if (capacity.usableKeys === 0) {
+                deferredModels.add(model);
+                summary.deferred++;
+                continue;
+            }
+
+            const interval = capacity.rpm
+                ? Math.max(getLineIntervalMs(), Math.ceil(60000 / capacity.rpm))
+                : getLineIntervalMs();
+            const wait = (pacing[model] || 0) + interval - Date.now();
+
+            if (Date.now() + Math.max(wait, 0) >= deadline) {
+                return finishRun(batch);
+            }
+
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            pacing[model] = Date.now();
+            const outcome = await recordLineOutcome(line, await runBatchLine(line, apiKey));
+            summary[outcome]++;
+
+            if (outcome === 'deferred') {
+                deferredModels.add(model);
+            }
+        }
+
+        // Lines of deferred models stay first in line, so stop once only they remain
+        if (lines.length < LINES_PER_FETCH && deferredModels.size > 0) {
+            break;
+        }
+    }
+
+    return finishRun(batch);
+}
+
+// Worker entry point, meant to be invoked by a cron. Works through active
+// batches, oldest first, for up to BATCH_WORKER_BUDGET_MS.
+async function processBatches(requestId) {
+    const deadline = Date.now() + getWorkerBudgetMs();
+    const summary = { batches: 0, completed: 0, failed: 0, deferred: 0 };
+    const pacing = {};
+
+    const { data: batches, error } = await supabase
+        .from('batches')
+        .select('*')
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true })
+        .limit(MAX_BATCHES_PER_RUN);
+
+    if (error) {
+        Logger.logDatabaseError('list active batches', error, { requestId });
+        throw toDatabaseError('list active batches', 'batches', error);
+    }
+
+    for (const batch of batches || []) {
+        if (Date.now() >= deadline) {
+            break;
+        }
+
+        if (!(await claimBatch(batch, deadline))) {
+            continue;
+        }
+
+        summary.batches++;
+        const status = await runBatch(batch, deadline, pacing, summary, requestId);
+
+        Logger.info('Batch worker run finished for batch', { requestId, batchId: batch.id, status });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    parseBatchInput,
+    validateBatchMetadata,
+    createBatch,
+    listBatches,
+    getBatch,
+    cancelBatch,
+    getBatchResults,
+    formatBatch,
+    processBatches,
+    getBatchDiscount
+};
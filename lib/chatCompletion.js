@@ -0,0 +1,1800 @@
+const axios = require('axios');
+const { validateApiKey, checkRateLimits, updateApiUsage, getApiKeySettings } = require('./supabase');
+const { getCurrentApiKey, syncRotationState, supportsVision, rotateApiKey, recordKeySuccess, recordUpstreamError, allKeysFailed } = require('./apiKeyRotation');
+const { classifyHttpError } = require('./providers');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { setCorsHeaders } = require('./middleware');
+const { validateContentParts, hasImageContent } = require('./contentParts');
+const { countTokens, countChatTokens } = require('./tokenizer');
+const { initSseResponse, writeSseData, endSseResponse, consumeSseStream } = require('./streaming');
+const { resolveSystemPrompt, appendCustomInstructions } = require('./promptRegistry');
+const { resolveLanguage } = require('./language');
+const { validateResponseFormat, checkStructuredOutput, buildRepairMessages } = require('./structuredOutput');
+const { VALID_MODELS, getContextLength, getFallbackChain, getPromptProtection } = require('./models');
+const { validateTruncation, fitContextWindow, buildSummaryRequest, SUMMARY_MODEL } = require('./contextWindow');
+const {
+    resolveCachePolicy,
+    buildCacheKey,
+    getCachedResponse,
+    storeCachedResponse,
+    getCacheDiscount
+} = require('./responseCache');
+const { handleIdempotencyKey } = require('./idempotency');
+const {
+    runGuardrails,
+    createPatternScanner,
+    hasChecks,
+    checkChatInput,
+    getOutputText,
+    contentPolicyError,
+    recordViolations
+} = require('./guardrails');
+const {
+    resolveRedactionTypes,
+    redactMessages,
+    restoreChoices,
+    createStreamRestorer,
+    buildRedactionReport,
+    formatReportHeader
+} = require('./piiRedaction');
+const {
+    checkPromptInjection,
+    promptInjectionError,
+    filterPromptLeakage,
+    createLeakMonitor
+} = require('./promptProtection');
+
+const VALID_ROLES = ['system', 'user', 'assistant', 'tool'];
+const VALID_TOOL_CHOICES = ['none', 'auto', 'required'];
+const MAX_TOOLS = 128;
+const MAX_CHOICES = 8;
+const MAX_STOP_SEQUENCES = 4;
+const MAX_LOGIT_BIAS_ENTRIES = 300;
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+const API_TIMEOUT_MS = 60000;
+const CONTEXT_LENGTH_ERROR_PATTERN = /context (length|window)|maximum context|too many tokens|prompt is too long/i;
+
+// Shared pipeline behind every chat endpoint. `getModel` resolves the Orzion
+// model from the request (path or body) and `getEndpoint` names the route
+// that usage is recorded under. `getMessages` lets callers such as threads
+// supply the conversation, and `onCompletion` runs before usage is billed;
+// whatever it returns is merged into the response body. The batch worker
+// sets `exemptPerSecondLimit` (it paces itself; daily and token limits still
+// apply), `usageDiscount`, the fraction taken off what the call bills, and
+// `deadline`, a timestamp after which no upstream call is started or awaited.
+async function handleChatCompletion(req, res, options) {
+    const {
+        getModel,
+        getEndpoint,
+        getMessages = (request) => request.body.messages,
+        onCompletion = null,
+        exemptPerSecondLimit = false,
+        usageDiscount = 0,
+        deadline = null
+    } = options;
+    const startTime = Date.now();
+    const requestId = Logger.generateRequestId();
+    let userApiKey = null;
+    let endpoint = null;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let model = null;
+    let answeringModel = null;
+    
+    try {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        Logger.info('Incoming chat request', {
+            requestId,
+            method: req.method,
+            path: req.url,
+            userAgent: req.headers['user-agent']
+        });
+
+        if (req.method !== 'POST') {
+            throw ErrorHandler.MethodNotAllowed('Only POST method is allowed for chat endpoints');
+        }
+
+        model = getModel(req);
+
+        if (!model) {
+            throw ErrorHandler.BadRequest(
+                'Model parameter is required',
+                'MISSING_MODEL',
+                { validModels: VALID_MODELS }
+            );
+        }
+
+        if (!VALID_MODELS.includes(model)) {
+            throw ErrorHandler.BadRequest(
+                `Invalid model: ${model}`,
+                'INVALID_MODEL',
+                { 
+                    providedModel: model,
+                    validModels: VALID_MODELS 
+                }
+            );
+        }
+
+        endpoint = getEndpoint(model);
+
+        const messages = getMessages(req);
+        const {
+            temperature = 0.7,
+            max_tokens = 2048,
+            stream = false,
+            stream_options,
+            tools,
+            tool_choice,
+            parallel_tool_calls,
+            top_p,
+            stop,
+            presence_penalty,
+            frequency_penalty,
+            seed,
+            logit_bias,
+            n = 1,
+            response_format,
+            language,
+            prompt_version,
+            truncation,
+            cache,
+            fallback
+        } = req.body;
+
+        if (!messages) {
+            throw ErrorHandler.BadRequest(
+                'Messages array is required',
+                'MISSING_MESSAGES'
+            );
+        }
+
+        if (!Array.isArray(messages)) {
+            throw ErrorHandler.BadRequest(
+                'Messages must be an array',
+                'INVALID_MESSAGES_TYPE',
+                { receivedType: typeof messages }
+            );
+        }
+
+        if (messages.length === 0) {
+            throw ErrorHandler.BadRequest(
+                'Messages array cannot be empty',
+                'EMPTY_MESSAGES_ARRAY'
+            );
+        }
+
+        for (let i = 0; i < messages.length; i++) {
+            validateMessage(messages[i], i);
+        }
+
+        validateToolOptions(tools, tool_choice, parallel_tool_calls);
+
+        const hasImages = hasImageContent(messages);
+
+        if (hasImages && !supportsVision(model)) {
+            throw ErrorHandler.BadRequest(
+                `Model ${model} does not accept image inputs`,
+                'MODEL_NOT_MULTIMODAL',
+                {
+                    model,
+                    multimodalModels: VALID_MODELS.filter(supportsVision)
+                }
+            );
+        }
+
+        if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+            throw ErrorHandler.BadRequest(
+                'Temperature must be a number between 0 and 2',
+                'INVALID_TEMPERATURE',
+                { providedTemperature: temperature }
+            );
+        }
+
+        if (typeof max_tokens !== 'number' || max_tokens < 1 || max_tokens > 8192) {
+            throw ErrorHandler.BadRequest(
+                'max_tokens must be a number between 1 and 8192',
+                'INVALID_MAX_TOKENS',
+                { providedMaxTokens: max_tokens }
+            );
+        }
+
+        validateSamplingOptions({ top_p, stop, presence_penalty, frequency_penalty, seed, logit_bias, n });
+
+        if (stream_options !== undefined &&
+            (typeof stream_options !== 'object' || stream_options === null || !stream)) {
+            throw ErrorHandler.BadRequest(
+                'stream_options must be an object and is only allowed when stream is true',
+                'INVALID_STREAM_OPTIONS',
+                { providedStreamOptions: stream_options }
+            );
+        }
+
+        const structuredOutput = validateResponseFormat(response_format);
+        const truncationStrategy = validateTruncation(truncation);
+
+        if (stream === true && cache) {
+            throw ErrorHandler.BadRequest(
+                'Response caching is only available for non-streaming requests',
+                'STREAMING_CACHE_NOT_SUPPORTED',
+                { hint: 'Send stream: false or remove the cache field' }
+            );
+        }
+
+        const cachePolicy = stream === true ? null : resolveCachePolicy(req.headers['cache-control'], cache);
+
+        if (fallback !== undefined && typeof fallback !== 'boolean') {
+            throw ErrorHandler.BadRequest(
+                'fallback must be a boolean',
+                'INVALID_FALLBACK',
+                { providedFallback: fallback }
+            );
+        }
+
+        if (stream === true && req.headers['idempotency-key'] !== undefined) {
+            throw ErrorHandler.BadRequest(
+                'Idempotency-Key is only supported for non-streaming requests',
+                'STREAMING_IDEMPOTENCY_NOT_SUPPORTED',
+                { hint: 'Send stream: false to get a replayable response' }
+            );
+        }
+
+        const resolvedLanguage = resolveLanguage({
+            language,
+            acceptLanguage: req.headers['accept-language'],
+            messages
+        });
+
+        if (stream === true && structuredOutput) {
+            throw ErrorHandler.BadRequest(
+                'JSON response formats cannot be validated while streaming; use stream: false',
+                'STREAMING_STRUCTURED_OUTPUT_NOT_SUPPORTED',
+                { responseFormat: structuredOutput.type }
+            );
+        }
+
+        if (stream === true && n > 1) {
+            throw ErrorHandler.BadRequest(
+                'n greater than 1 is not supported together with stream',
+                'STREAMING_MULTIPLE_CHOICES_NOT_SUPPORTED',
+                { providedN: n }
+            );
+        }
+
+        if (typeof stream !== 'boolean') {
+            throw ErrorHandler.BadRequest(
+                'stream must be a boolean',
+                'INVALID_STREAM',
+                { providedStream: stream }
+            );
+        }
+
+        if (prompt_version !== undefined && (typeof prompt_version !== 'string' || prompt_version.length === 0)) {
+            throw ErrorHandler.BadRequest(
+                'prompt_version must be a non-empty string',
+                'INVALID_PROMPT_VERSION',
+                { providedPromptVersion: prompt_version }
+            );
+        }
+
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            throw ErrorHandler.Unauthorized(
+                'Authorization header with Bearer token is required',
+                'MISSING_AUTH_TOKEN',
+                { hint: 'Include Authorization: Bearer <your-api-key> in headers' }
+            );
+        }
+
+        userApiKey = authHeader.substring(7);
+
+        if (!userApiKey || userApiKey.trim().length === 0) {
+            throw ErrorHandler.Unauthorized(
+                'API key cannot be empty',
+                'EMPTY_API_KEY'
+            );
+        }
+
+        Logger.info('Validating user API key', { requestId, model });
+        const validation = await validateApiKey(userApiKey);
+        
+        if (!validation.isValid) {
+            Logger.warn('Invalid API key provided', { requestId, reason: validation.error });
+            throw ErrorHandler.Unauthorized(
+                validation.error || 'Invalid API key',
+                'INVALID_API_KEY',
+                { hint: 'Ensure your API key is active and properly formatted' }
+            );
+        }
+
+        const idempotency = await handleIdempotencyKey(req, res, validation.userId, requestId);
+
+        if (idempotency.replayed) {
+            return;
+        }
+
+        const { customInstructions, piiRedaction } = await getApiKeySettings(validation.apiKeyId);
+        // Fallback models answer with their own persona at its active version;
+        // a pinned prompt_version only applies to the requested model.
+        const buildSystemPrompt = async (targetModel) => {
+            const targetPersona = await resolveSystemPrompt(
+                targetModel,
+                resolvedLanguage,
+                targetModel === model ? prompt_version ?? null : null
+            );
+            const personaPrompt = appendCustomInstructions(targetPersona.prompt, customInstructions);
+
+            return {
+                prompt: structuredOutput
+                    ? `${personaPrompt}\n\n${structuredOutput.instruction}`
+                    : personaPrompt,
+                version: targetPersona.version
+            };
+        };
+        const persona = await buildSystemPrompt(model);
+        const systemPrompt = persona.prompt;
+        const systemFingerprint = `orzion-${model}-${persona.version}`;
+
+        const params = omitUndefined({
+            temperature,
+            max_tokens,
+            top_p,
+            stop,
+            presence_penalty,
+            frequency_penalty,
+            seed,
+            logit_bias,
+            n: n > 1 ? n : undefined,
+            tools,
+            tool_choice,
+            parallel_tool_calls,
+            response_format: structuredOutput ? response_format : undefined
+        });
+
+        const promptCount = countChatTokens(
+            [{ role: 'system', content: systemPrompt }, ...messages],
+            model,
+            { tools }
+        );
+        inputTokens = promptCount.total;
+
+        // Scoped per user: the key covers the rendered system prompt (language,
+        // custom instructions) and everything that changes the upstream call.
+        const cacheKey = cachePolicy && buildCacheKey({
+            userId: validation.userId,
+            model,
+            promptVersion: persona.version,
+            systemPrompt,
+            messages,
+            params,
+            truncation: truncationStrategy
+        });
+        const cached = cachePolicy?.read
+            ? await getCachedResponse(cacheKey, cachePolicy.maxAgeSeconds, requestId)
+            : null;
+
+        if (cached) {
+            const entry = cached.value;
+            const discount = 1 - (1 - getCacheDiscount()) * (1 - usageDiscount);
+            inputTokens = entry.promptTokens;
+            outputTokens = entry.completionTokens;
+
+            const extraFields = onCompletion
+                ? await onCompletion({ choices: entry.choices, model, requestId })
+                : null;
+            const responseTime = Date.now() - startTime;
+
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                entry.model,
+                inputTokens,
+                outputTokens,
+                responseTime,
+                200,
+                null,
+                discount
+            );
+
+            Logger.info('Chat request served from response cache', {
+                requestId,
+                model: entry.model,
+                inputTokens,
+                outputTokens,
+                ageSeconds: cached.ageSeconds,
+                discount,
+                responseTime: `${responseTime}ms`
+            });
+
+            res.setHeader('Content-Language', resolvedLanguage.code);
+            res.setHeader('X-Cache', 'HIT');
+
+            return res.status(200).json({
+                ...formatCompletionBody(entry),
+                cache: { status: 'hit', age_seconds: cached.ageSeconds, billing_discount: discount },
+                ...extraFields
+            });
+        }
+
+        Logger.info('Checking rate limits', { requestId, userId: validation.userId, inputTokens });
+        const rateLimitResult = await checkRateLimits(
+            exemptPerSecondLimit
+                ? { ...validation, limits: { ...validation.limits, requestsPerSecond: -1 } }
+                : validation,
+            inputTokens
+        );
+        
+        if (!rateLimitResult.allowed) {
+            Logger.warn('Rate limit exceeded', { 
+                requestId, 
+                userId: validation.userId,
+                details: rateLimitResult.details 
+            });
+            throw ErrorHandler.TooManyRequests(
+                rateLimitResult.message || 'Rate limit exceeded',
+                'RATE_LIMIT_EXCEEDED',
+                rateLimitResult.details
+            );
+        }
+
+        // Everything sent upstream from here on, guardrail classifiers and
+        // summaries included, uses the redacted messages
+        const redactionTypes = resolveRedactionTypes(piiRedaction);
+        const redaction = redactionTypes ? redactMessages(messages, redactionTypes) : null;
+        const redactedCount = redaction ? redaction.vault.byPlaceholder.size : 0;
+        const upstreamMessages = redaction ? redaction.messages : messages;
+
+        // Cache hits above skip this: an entry is only stored for input that
+        // passed, and its output was checked before it was stored
+        const callGuardrailModel = createGuardrailModelCaller({ userApiKey, endpoint, usageDiscount, deadline, requestId });
+        const violationContext = {
+            requestId,
+            userId: validation.userId,
+            apiKeyId: validation.apiKeyId,
+            endpoint,
+            model
+        };
+        const inputVerdict = await checkChatInput(messages, {
+            remoteMessages: upstreamMessages,
+            callModel: callGuardrailModel,
+            requestId
+        });
+
+        if (inputVerdict) {
+            recordViolations(inputVerdict, { ...violationContext, stage: 'input' });
+
+            if (inputVerdict.blocked) {
+                throw contentPolicyError('input', inputVerdict);
+            }
+        }
+
+        const injection = checkPromptInjection(messages, { level: getPromptProtection(model), model, requestId });
+
+        if (injection) {
+            recordViolations(injection, { ...violationContext, stage: 'input' });
+
+            if (injection.blocked) {
+                throw promptInjectionError(injection);
+            }
+        }
+
+        if (redaction) {
+            res.setHeader('X-PII-Redacted', formatReportHeader(redaction.vault) || 'none');
+        }
+
+        const contextWindow = await fitContextWindow(upstreamMessages, {
+            model,
+            systemPrompt,
+            tools,
+            maxTokens: max_tokens,
+            strategy: truncationStrategy,
+            promptCount,
+            summarize: (removedMessages) => summarizeMessages(removedMessages, deadline, requestId),
+            requestId
+        });
+        const promptMessages = contextWindow.messages;
+        const imageTokens = contextWindow.promptCount.imageTokens;
+        inputTokens = contextWindow.promptCount.total;
+
+        if (contextWindow.summaryUsage) {
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                SUMMARY_MODEL,
+                contextWindow.summaryUsage.prompt_tokens || 0,
+                contextWindow.summaryUsage.completion_tokens || 0,
+                Date.now() - startTime,
+                200,
+                null,
+                usageDiscount
+            );
+        }
+
+        if (contextWindow.truncation) {
+            res.setHeader('X-Context-Truncated-Messages', String(contextWindow.truncation.removed_messages));
+        }
+
+        Logger.info(`Processing chat request for model: ${model}`, {
+            requestId,
+            inputTokens,
+            language: resolvedLanguage.code,
+            languageSource: resolvedLanguage.source,
+            promptVersion: persona.version,
+            hasCustomInstructions: Boolean(customInstructions)
+        });
+
+        res.setHeader('Content-Language', resolvedLanguage.code);
+
+        const callOptions = { params, hasImages: hasImageContent(promptMessages), systemPrompt, deadline };
+        const answer = await callWithFallback(model, promptMessages, { ...callOptions, stream }, {
+            enabled: fallback !== false,
+            systemPromptVersion: persona.version,
+            buildSystemPrompt,
+            requiredContext: inputTokens + max_tokens,
+            requestId
+        });
+        const response = answer.response;
+        const answerOptions = { ...callOptions, systemPrompt: answer.systemPrompt };
+        const answerFingerprint = `orzion-${answer.model}-${answer.promptVersion}`;
+        answeringModel = answer.model;
+
+        if (answer.fallback) {
+            res.setHeader('X-Orzion-Model', answeringModel);
+        }
+
+        if (response.success && stream) {
+            return await handleStreamingResponse(req, res, response, {
+                model: answeringModel,
+                endpoint,
+                userApiKey,
+                inputTokens,
+                includeUsage: stream_options?.include_usage === true,
+                systemFingerprint: answerFingerprint,
+                violationContext: { ...violationContext, model: answeringModel },
+                callGuardrailModel,
+                systemPrompt: answer.systemPrompt,
+                redactionVault: redactedCount > 0 ? redaction.vault : null,
+                startTime,
+                requestId
+            });
+        }
+
+        if (response.success) {
+            if (n > 1 && response.choices.length < n) {
+                await fillMissingChoices(answeringModel, promptMessages, answerOptions, response, n, requestId);
+            }
+
+            if (structuredOutput) {
+                await enforceStructuredOutput(
+                    answeringModel,
+                    promptMessages,
+                    answerOptions,
+                    response,
+                    structuredOutput,
+                    requestId
+                );
+            }
+
+            // The output classifiers get the answer as the model wrote it,
+            // placeholders and all
+            const remoteOutputTexts = response.choices.map(getOutputText);
+
+            if (redactedCount > 0) {
+                restoreChoices(redaction.vault, response.choices);
+            }
+
+            // Checked against the prompt that actually answered, fallback
+            // persona and custom instructions included
+            const leakage = filterPromptLeakage(response.choices, answer.systemPrompt, {
+                level: getPromptProtection(answeringModel),
+                model: answeringModel,
+                requestId
+            });
+
+            if (leakage) {
+                recordViolations(leakage, { ...violationContext, model: answeringModel, stage: 'output' });
+            }
+
+            const outputVerdict = await filterOutputChoices(response.choices, {
+                remoteTexts: remoteOutputTexts,
+                callModel: callGuardrailModel,
+                violationContext: { ...violationContext, model: answeringModel }
+            });
+
+            // Without upstream usage every extra call still sent its own prompt
+            const tokenUsage = resolveTokenUsage(
+                response.usage,
+                inputTokens * (1 + (response.extraCalls || 0)),
+                () => response.choices.reduce((total, choice) => total + estimateChoiceTokens(choice, answeringModel), 0)
+            );
+            inputTokens = tokenUsage.promptTokens;
+            outputTokens = tokenUsage.completionTokens;
+
+            const completion = {
+                model: answeringModel,
+                systemFingerprint: answerFingerprint,
+                fallback: answer.fallback,
+                choices: response.choices,
+                promptTokens: inputTokens,
+                completionTokens: outputTokens,
+                imageTokens,
+                tokenSources: tokenUsage.sources,
+                truncation: contextWindow.truncation
+            };
+
+            // Filtered answers and answers that carried redacted values are
+            // never stored
+            const cacheable = cachePolicy?.write && !outputVerdict?.blocked && !leakage && redactedCount === 0;
+
+            if (cacheable) {
+                await storeCachedResponse(cacheKey, completion, cachePolicy.ttlSeconds, requestId);
+            }
+
+            const extraFields = onCompletion
+                ? await onCompletion({ choices: response.choices, model: answeringModel, requestId })
+                : null;
+            const responseTime = Date.now() - startTime;
+
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                answeringModel,
+                inputTokens,
+                outputTokens,
+                responseTime,
+                200,
+                null,
+                usageDiscount
+            );
+
+            Logger.info('Chat request successful', {
+                requestId,
+                model: answeringModel,
+                requestedModel: model,
+                inputTokens,
+                outputTokens,
+                tokenSources: tokenUsage.sources,
+                responseTime: `${responseTime}ms`,
+                choices: response.choices.length,
+                apiKeyUsed: response.apiKeyUsed
+            });
+
+            if (cachePolicy) {
+                res.setHeader('X-Cache', 'MISS');
+            }
+
+            return res.status(200).json({
+                ...formatCompletionBody(completion),
+                ...(cachePolicy && { cache: { status: 'miss', stored: Boolean(cacheable) } }),
+                ...(redaction && { pii_redaction: buildRedactionReport(redaction.vault) }),
+                ...extraFields
+            });
+        } else {
+            const responseTime = Date.now() - startTime;
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                model,
+                inputTokens,
+                0,
+                responseTime,
+                response.statusCode || 500,
+                response.error
+            );
+
+            Logger.error('All API keys failed for model', {
+                requestId,
+                model,
+                error: response.error,
+                details: response.details
+            });
+
+            if (CONTEXT_LENGTH_ERROR_PATTERN.test(response.details?.lastErrorMessage || '')) {
+                throw ErrorHandler.BadRequest(
+                    `The conversation does not fit in the context window of ${model}`,
+                    'CONTEXT_LENGTH_EXCEEDED',
+                    {
+                        model,
+                        promptTokens: inputTokens,
+                        maxTokens: max_tokens,
+                        upstreamMessage: response.details.lastErrorMessage,
+                        hint: "Lower max_tokens or send truncation: 'drop_oldest' or 'summarize'"
+                    }
+                );
+            }
+
+            throw ErrorHandler.ServiceUnavailable(
+                response.error || `Service temporarily unavailable for model ${model}`,
+                'API_CALL_FAILED',
+                { ...response.details, attemptedModels: answer.attemptedModels }
+            );
+        }
+
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+
+        if (res.headersSent) {
+            Logger.error('Error after response headers were sent', {
+                requestId,
+                error: error.message,
+                model
+            });
+
+            writeSseData(res, {
+                error: {
+                    message: 'An unexpected error occurred',
+                    code: 'INTERNAL_SERVER_ERROR',
+                    request_id: requestId
+                }
+            });
+            return endSseResponse(res);
+        }
+
+        if (error.isOperational) {
+            if (userApiKey && endpoint) {
+                await updateApiUsage(
+                    userApiKey,
+                    endpoint,
+                    answeringModel || model,
+                    inputTokens,
+                    0,
+                    responseTime,
+                    error.statusCode,
+                    error.message
+                ).catch(err => Logger.error('Failed to log error usage', { requestId, error: err.message }));
+            }
+
+            Logger.warn('Operational error in chat endpoint', {
+                requestId,
+                statusCode: error.statusCode,
+                code: error.code,
+                message: error.message,
+                details: error.details
+            });
+
+            return res.status(error.statusCode).json({
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    request_id: requestId,
+                    ...(error.details && { details: error.details })
+                }
+            });
+        }
+
+        Logger.error('Unexpected error in chat endpoint', {
+            requestId,
+            error: error.message,
+            stack: error.stack,
+            model,
+            responseTime: `${responseTime}ms`
+        });
+
+        if (userApiKey && endpoint) {
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                answeringModel || model,
+                inputTokens,
+                0,
+                responseTime,
+                500,
+                error.message
+            ).catch(err => Logger.error('Failed to log error usage', { requestId, error: err.message }));
+        }
+
+        return res.status(500).json({
+            error: {
+                message: 'An unexpected error occurred',
+                code: 'INTERNAL_SERVER_ERROR',
+                request_id: requestId,
+                ...(process.env.NODE_ENV !== 'production' && { 
+                    details: error.message 
+                })
+            }
+        });
+    }
+}
+
+async function handleStreamingResponse(req, res, response, context) {
+    const {
+        model,
+        endpoint,
+        userApiKey,
+        inputTokens: estimatedInputTokens,
+        includeUsage,
+        systemFingerprint,
+        violationContext,
+        callGuardrailModel,
+        systemPrompt,
+        redactionVault,
+        startTime,
+        requestId
+    } = context;
+    const completionId = `chatcmpl-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const upstream = response.stream;
+
+    let streamedContent = '';
+    // The text as the model wrote it, placeholders and all, for the
+    // model-based output checks
+    let upstreamContent = '';
+    let upstreamUsage = null;
+    let clientDisconnected = false;
+    let streamError = null;
+    // Only keyword and regex checks can judge a stream as it is forwarded;
+    // classifier and moderation checks run on the whole text at the end
+    const outputScanner = hasChecks('output') ? createPatternScanner('output') : null;
+    let outputVerdict = null;
+    const leakMonitor = createLeakMonitor(systemPrompt, { level: getPromptProtection(model), model, requestId });
+    let leakage = null;
+    // One restorer per text channel, since placeholders can span chunks
+    const restorers = new Map();
+    const restore = (channel, text, final) => {
+        if (!restorers.has(channel)) {
+            restorers.set(channel, createStreamRestorer(redactionVault));
+        }
+
+        const restorer = restorers.get(channel);
+        return restorer.push(text || '') + (final ? restorer.flush() : '');
+    };
+    const restoreDelta = (choice) => {
+        const delta = { ...(choice.delta || {}) };
+
+        if (!redactionVault) {
+            return delta;
+        }
+
+        const index = choice.index || 0;
+        const final = Boolean(choice.finish_reason);
+
+        if (delta.content || final) {
+            const content = restore(`content:${index}`, delta.content, final);
+
+            if (content || delta.content !== undefined) {
+                delta.content = content;
+            }
+        }
+
+        if (delta.tool_calls) {
+            delta.tool_calls = delta.tool_calls.map(call => call.function?.arguments === undefined ? call : {
+                ...call,
+                function: {
+                    ...call.function,
+                    arguments: restore(`tool:${index}:${call.index}`, call.function.arguments, final)
+                }
+            });
+        }
+
+        return delta;
+    };
+
+    // The request has been fully read by now, so a disconnect only surfaces
+    // as 'close' on the response; before res.end() it means the client left
+    const onClientClose = () => {
+        if (!res.writableEnded) {
+            clientDisconnected = true;
+            upstream.destroy();
+        }
+    };
+    res.on('close', onClientClose);
+
+    initSseResponse(res);
+
+    try {
+        await consumeSseStream(upstream, (event) => {
+            if (outputVerdict?.blocked || leakage) {
+                return;
+            }
+
+            if (event.error) {
+                streamError = event.error;
+                upstream.destroy();
+                return;
+            }
+
+            if (event.usage) {
+                upstreamUsage = event.usage;
+            }
+
+            const scannedLength = streamedContent.length;
+            const choices = (event.choices || []).map(choice => {
+                upstreamContent += (choice.delta?.content || '') +
+                    (choice.delta?.tool_calls ? JSON.stringify(choice.delta.tool_calls) : '');
+                const delta = restoreDelta(choice);
+
+                if (delta.content) {
+                    streamedContent += delta.content;
+
+                    if (leakMonitor && !leakage) {
+                        leakage = leakMonitor.push(choice.index || 0, delta.content);
+                    }
+                }
+
+                if (delta.tool_calls) {
+                    streamedContent += JSON.stringify(delta.tool_calls);
+                }
+
+                return {
+                    index: choice.index || 0,
+                    delta,
+                    finish_reason: choice.finish_reason || null
+                };
+            });
+
+            if (outputScanner && streamedContent.length > scannedLength) {
+                outputVerdict = outputScanner.push(streamedContent.slice(scannedLength));
+            }
+
+            // The chunk that completed the match is not forwarded
+            if (outputVerdict?.blocked || leakage) {
+                writeSseData(res, {
+                    id: completionId,
+                    object: 'chat.completion.chunk',
+                    created,
+                    model,
+                    choices: [{ index: 0, delta: {}, finish_reason: 'content_filter' }],
+                    system_fingerprint: systemFingerprint
+                });
+                upstream.destroy();
+                return;
+            }
+
+            if (choices.length === 0) {
+                if (event.usage && includeUsage) {
+                    writeSseData(res, {
+                        id: completionId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model,
+                        choices: [],
+                        usage: event.usage,
+                        system_fingerprint: systemFingerprint
+                    });
+                }
+                return;
+            }
+
+            writeSseData(res, {
+                id: completionId,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices,
+                system_fingerprint: systemFingerprint
+            });
+        }, { requestId, model });
+    } catch (error) {
+        streamError = { message: error.message };
+    } finally {
+        res.removeListener('close', onClientClose);
+    }
+
+    if (leakage) {
+        recordViolations(leakage, { ...violationContext, stage: 'output' });
+    }
+
+    if (outputScanner) {
+        recordViolations(outputScanner.outcome, { ...violationContext, stage: 'output' });
+    }
+
+    const streamCompleted = !clientDisconnected && !streamError && !outputVerdict?.blocked && !leakage;
+    const modelVerdict = streamCompleted && streamedContent
+        ? await runGuardrails('output', [streamedContent], {
+            remoteTexts: [upstreamContent],
+            callModel: callGuardrailModel,
+            requestId,
+            patternChecks: false
+        })
+        : null;
+
+    recordViolations(modelVerdict, { ...violationContext, stage: 'output' });
+
+    const tokenUsage = resolveTokenUsage(upstreamUsage, estimatedInputTokens, () => countTokens(streamedContent, model));
+    const inputTokens = tokenUsage.promptTokens;
+    const outputTokens = tokenUsage.completionTokens;
+    const responseTime = Date.now() - startTime;
+    const statusCode = clientDisconnected ? 499 : streamError ? 502 : 200;
+    const errorMessage = clientDisconnected ? 'Client disconnected during stream' :
+                         streamError ? (streamError.message || 'Upstream stream error') :
+                         null;
+
+    await updateApiUsage(
+        userApiKey,
+        endpoint,
+        model,
+        inputTokens,
+        outputTokens,
+        responseTime,
+        statusCode,
+        errorMessage
+    ).catch(err => Logger.error('Failed to log streaming usage', { requestId, error: err.message }));
+
+    if (streamError && !clientDisconnected) {
+        Logger.error('Upstream stream failed', {
+            requestId,
+            model,
+            error: streamError.message,
+            outputTokens
+        });
+
+        writeSseData(res, {
+            error: {
+                message: 'The upstream stream was interrupted',
+                code: 'STREAM_INTERRUPTED',
+                request_id: requestId
+            }
+        });
+    }
+
+    // Too late to withhold, but the client learns the text did not pass
+    if (modelVerdict?.blocked) {
+        const policyError = contentPolicyError('output', modelVerdict);
+
+        writeSseData(res, {
+            error: {
+                message: 'The streamed response was flagged by the content policy after it was sent',
+                code: policyError.code,
+                request_id: requestId,
+                details: policyError.details
+            }
+        });
+    }
+
+    Logger.info(clientDisconnected ? 'Client disconnected from stream' : 'Streaming chat request finished', {
+        requestId,
+        model,
+        inputTokens,
+        outputTokens,
+        tokenSources: tokenUsage.sources,
+        responseTime: `${responseTime}ms`,
+        apiKeyUsed: response.apiKeyUsed
+    });
+
+    endSseResponse(res);
+}
+
+async function makeApiCallWithRetry(model, messages, options, requestId) {
+    const { params, systemPrompt, stream = false, hasImages = false, deadline = null } = options;
+    let lastError = null;
+    let retryCount = 0;
+    let provider = null;
+    let apiKeyInfo = null;
+    const triedKeyIds = [];
+
+    while (retryCount < MAX_RETRIES) {
+        apiKeyInfo = null;
+        const remainingMs = deadline ? deadline - Date.now() : API_TIMEOUT_MS;
+
+        if (remainingMs <= 0) {
+            Logger.warn(`Deadline reached before calling ${model}`, { requestId, attempts: retryCount });
+            lastError = lastError || Object.assign(new Error('Request deadline reached'), { code: 'ETIMEDOUT' });
+            break;
+        }
+
+        try {
+            await syncRotationState(model);
+            apiKeyInfo = getCurrentApiKey(model, { excludeKeyIds: triedKeyIds });
+            triedKeyIds.push(apiKeyInfo.keyId);
+            Logger.info(`Using API key ${apiKeyInfo.keyIndex + 1}/${apiKeyInfo.totalKeys} for ${model}`, {
+                requestId,
+                keyLabel: apiKeyInfo.keyLabel,
+                attempt: retryCount + 1,
+                maxRetries: MAX_RETRIES
+            });
+
+            const messagesWithSystem = [
+                {
+                    role: 'system',
+                    content: systemPrompt
+                },
+                ...messages
+            ];
+
+            provider = apiKeyInfo.provider;
+            const upstreamRequest = provider.buildRequest({
+                baseUrl: apiKeyInfo.baseUrl,
+                modelId: hasImages ? apiKeyInfo.visionModelId : apiKeyInfo.modelId,
+                messages: messagesWithSystem,
+                params,
+                stream
+            });
+
+            const response = await axios.post(upstreamRequest.url, upstreamRequest.body, {
+                responseType: stream ? 'stream' : 'json',
+                headers: provider.buildHeaders(apiKeyInfo.key),
+                timeout: Math.min(API_TIMEOUT_MS, remainingMs)
+            });
+
+            recordKeySuccess(model, apiKeyInfo.keyId);
+
+            if (stream) {
+                Logger.info(`Upstream stream opened from ${provider.name} for ${model}`, {
+                    requestId,
+                    apiKeyIndex: apiKeyInfo.keyIndex + 1,
+                    attempt: retryCount + 1
+                });
+
+                return {
+                    success: true,
+                    stream: response.data,
+                    apiKeyUsed: apiKeyInfo.keyIndex + 1,
+                    attempts: retryCount + 1
+                };
+            }
+
+            const parsed = provider.parseResponse(response.data);
+
+            if (parsed) {
+                Logger.info(`Successful response from ${provider.name} for ${model}`, {
+                    requestId,
+                    apiKeyIndex: apiKeyInfo.keyIndex + 1,
+                    attempt: retryCount + 1
+                });
+
+                return {
+                    success: true,
+                    choices: parsed.choices,
+                    usage: parsed.usage,
+                    apiKeyUsed: apiKeyInfo.keyIndex + 1,
+                    attempts: retryCount + 1
+                };
+            } else {
+                throw new Error(`Invalid response structure from ${provider.name} API`);
+            }
+
+        } catch (error) {
+            retryCount++;
+            lastError = error;
+
+            if (stream && typeof error.response?.data?.destroy === 'function') {
+                error.response.data.destroy();
+            }
+
+            const failure = provider ? provider.classifyError(error) : classifyHttpError(error);
+            const { statusCode, reason } = failure;
+            const errorMessage = failure.message;
+
+            Logger.error(`API call failed for ${model}`, {
+                requestId,
+                attempt: retryCount,
+                maxRetries: MAX_RETRIES,
+                provider: provider?.name,
+                statusCode,
+                errorCode: error.code,
+                errorMessage,
+                isTimeout: failure.isTimeout,
+                isNetworkError: failure.isNetworkError
+            });
+
+            const shouldRotate = failure.rotate;
+            recordUpstreamError(model, apiKeyInfo?.keyId, failure);
+
+            // Health is tracked even on the last attempt; errors that no other
+            // key could fix still prove the key itself works
+            if (apiKeyInfo?.keyId && shouldRotate) {
+                rotateApiKey(model, apiKeyInfo.keyId, failure);
+            } else if (apiKeyInfo?.keyId && statusCode > 0) {
+                recordKeySuccess(model, apiKeyInfo.keyId);
+            }
+
+            if (shouldRotate && retryCount < MAX_RETRIES) {
+                Logger.warn(`Rotating API key for ${model}`, {
+                    requestId,
+                    reason,
+                    nextAttempt: retryCount + 1
+                });
+
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * retryCount));
+            } else {
+                Logger.error(`Non-recoverable error for ${model}, stopping retries`, {
+                    requestId,
+                    statusCode,
+                    errorMessage
+                });
+                break;
+            }
+        }
+    }
+
+    const errorDetails = {
+        attempts: retryCount,
+        lastStatusCode: lastError?.response?.status,
+        lastErrorMessage: lastError?.response?.data?.error?.message || lastError?.message,
+        errorCode: lastError?.code,
+        allKeysFailed: allKeysFailed(model)
+    };
+
+    return {
+        success: false,
+        error: `Failed to process request for ${model} after ${retryCount} attempts`,
+        details: errorDetails,
+        statusCode: lastError?.response?.status || 503
+    };
+}
+
+// Names the fields that were sent, never their values, which may hold
+// personal data
+function describeInvalidMessage(msg, i) {
+    return msg && typeof msg === 'object' && !Array.isArray(msg)
+        ? { messageIndex: i, receivedFields: Object.keys(msg) }
+        : { messageIndex: i, receivedType: msg === null ? 'null' : Array.isArray(msg) ? 'array' : typeof msg };
+}
+
+function validateMessage(msg, i) {
+    if (!msg || typeof msg !== 'object' || !msg.role) {
+        throw ErrorHandler.BadRequest(
+            `Message at index ${i} must have 'role' and 'content' fields`,
+            'INVALID_MESSAGE_FORMAT',
+            describeInvalidMessage(msg, i)
+        );
+    }
+
+    if (!VALID_ROLES.includes(msg.role)) {
+        throw ErrorHandler.BadRequest(
+            `Invalid role '${msg.role}' at message index ${i}`,
+            'INVALID_MESSAGE_ROLE',
+            { messageIndex: i, role: msg.role, validRoles: VALID_ROLES }
+        );
+    }
+
+    const hasToolCalls = msg.role === 'assistant' && msg.tool_calls !== undefined;
+
+    if (msg.tool_calls !== undefined && msg.role !== 'assistant') {
+        throw ErrorHandler.BadRequest(
+            `Only assistant messages can carry 'tool_calls' (message index ${i})`,
+            'INVALID_MESSAGE_FORMAT',
+            { messageIndex: i, role: msg.role }
+        );
+    }
+
+    if (hasToolCalls) {
+        if (!Array.isArray(msg.tool_calls) || msg.tool_calls.length === 0) {
+            throw ErrorHandler.BadRequest(
+                `'tool_calls' at message index ${i} must be a non-empty array`,
+                'INVALID_TOOL_CALLS',
+                { messageIndex: i }
+            );
+        }
+
+        msg.tool_calls.forEach((call, callIndex) => {
+            if (!call || !call.id || call.type !== 'function' ||
+                !call.function?.name || typeof call.function.arguments !== 'string') {
+                throw ErrorHandler.BadRequest(
+                    `Invalid tool call at message index ${i}, tool call index ${callIndex}`,
+                    'INVALID_TOOL_CALLS',
+                    {
+                        messageIndex: i,
+                        toolCallIndex: callIndex,
+                        hint: "Each tool call needs 'id', type 'function' and a function with 'name' and string 'arguments'"
+                    }
+                );
+            }
+        });
+    }
+
+    if (msg.role === 'tool' && (typeof msg.tool_call_id !== 'string' || msg.tool_call_id.length === 0)) {
+        throw ErrorHandler.BadRequest(
+            `Tool message at index ${i} must have a 'tool_call_id' field`,
+            'MISSING_TOOL_CALL_ID',
+            { messageIndex: i }
+        );
+    }
+
+    if (!msg.content && !hasToolCalls) {
+        throw ErrorHandler.BadRequest(
+            `Message at index ${i} must have 'role' and 'content' fields`,
+            'INVALID_MESSAGE_FORMAT',
+            describeInvalidMessage(msg, i)
+        );
+    }
+
+    if (msg.content && typeof msg.content !== 'string' && !Array.isArray(msg.content)) {
+        throw ErrorHandler.BadRequest(
+            `Content at message index ${i} must be a string or an array of content parts`,
+            'INVALID_MESSAGE_FORMAT',
+            { messageIndex: i, receivedType: typeof msg.content }
+        );
+    }
+
+    validateContentParts(msg.content, i, msg.role);
+}
+
+function validateToolOptions(tools, toolChoice, parallelToolCalls) {
+    if (tools !== undefined) {
+        if (!Array.isArray(tools) || tools.length === 0) {
+            throw ErrorHandler.BadRequest(
+                'tools must be a non-empty array',
+                'INVALID_TOOLS',
+                { receivedType: typeof tools }
+            );
+        }
+
+        if (tools.length > MAX_TOOLS) {
+            throw ErrorHandler.BadRequest(
+                `A maximum of ${MAX_TOOLS} tools is allowed per request`,
+                'TOO_MANY_TOOLS',
+                { maxTools: MAX_TOOLS, providedTools: tools.length }
+            );
+        }
+
+        tools.forEach((tool, index) => {
+            const name = tool?.function?.name;
+
+            if (!tool || tool.type !== 'function' || typeof name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+                throw ErrorHandler.BadRequest(
+                    `Invalid tool definition at index ${index}`,
+                    'INVALID_TOOLS',
+                    {
+                        toolIndex: index,
+                        hint: "Each tool needs type 'function' and a function name of up to 64 letters, digits, '_' or '-'"
+                    }
+                );
+            }
+
+            if (tool.function.parameters !== undefined &&
+                (typeof tool.function.parameters !== 'object' || tool.function.parameters === null)) {
+                throw ErrorHandler.BadRequest(
+                    `Tool '${name}' parameters must be a JSON Schema object`,
+                    'INVALID_TOOLS',
+                    { toolIndex: index }
+                );
+            }
+        });
+    }
+
+    if (toolChoice !== undefined) {
+        const isValidString = typeof toolChoice === 'string' && VALID_TOOL_CHOICES.includes(toolChoice);
+        const isValidObject = typeof toolChoice === 'object' && toolChoice !== null &&
+            toolChoice.type === 'function' && typeof toolChoice.function?.name === 'string';
+
+        if (!isValidString && !isValidObject) {
+            throw ErrorHandler.BadRequest(
+                'Invalid tool_choice',
+                'INVALID_TOOL_CHOICE',
+                { providedToolChoice: toolChoice, validToolChoices: VALID_TOOL_CHOICES }
+            );
+        }
+
+        if (isValidObject && !(tools || []).some(tool => tool.function.name === toolChoice.function.name)) {
+            throw ErrorHandler.BadRequest(
+                `tool_choice references unknown tool '${toolChoice.function.name}'`,
+                'INVALID_TOOL_CHOICE',
+                { toolName: toolChoice.function.name }
+            );
+        }
+
+        if (toolChoice !== 'none' && !tools) {
+            throw ErrorHandler.BadRequest(
+                'tool_choice requires tools to be provided',
+                'INVALID_TOOL_CHOICE'
+            );
+        }
+    }
+
+    if (parallelToolCalls !== undefined && typeof parallelToolCalls !== 'boolean') {
+        throw ErrorHandler.BadRequest(
+            'parallel_tool_calls must be a boolean',
+            'INVALID_PARALLEL_TOOL_CALLS',
+            { providedValue: parallelToolCalls }
+        );
+    }
+}
+
+function validateSamplingOptions({ top_p, stop, presence_penalty, frequency_penalty, seed, logit_bias, n }) {
+    if (top_p !== undefined && (typeof top_p !== 'number' || top_p < 0 || top_p > 1)) {
+        throw ErrorHandler.BadRequest(
+            'top_p must be a number between 0 and 1',
+            'INVALID_TOP_P',
+            { providedTopP: top_p }
+        );
+    }
+
+    if (stop !== undefined && stop !== null) {
+        const sequences = Array.isArray(stop) ? stop : [stop];
+
+        if (sequences.length === 0 || sequences.length > MAX_STOP_SEQUENCES ||
+            sequences.some(sequence => typeof sequence !== 'string' || sequence.length === 0)) {
+            throw ErrorHandler.BadRequest(
+                `stop must be a non-empty string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings`,
+                'INVALID_STOP',
+                { providedStop: stop }
+            );
+        }
+    }
+
+    if (presence_penalty !== undefined &&
+        (typeof presence_penalty !== 'number' || presence_penalty < -2 || presence_penalty > 2)) {
+        throw ErrorHandler.BadRequest(
+            'presence_penalty must be a number between -2 and 2',
+            'INVALID_PRESENCE_PENALTY',
+            { providedPresencePenalty: presence_penalty }
+        );
+    }
+
+    if (frequency_penalty !== undefined &&
+        (typeof frequency_penalty !== 'number' || frequency_penalty < -2 || frequency_penalty > 2)) {
+        throw ErrorHandler.BadRequest(
+            'frequency_penalty must be a number between -2 and 2',
+            'INVALID_FREQUENCY_PENALTY',
+            { providedFrequencyPenalty: frequency_penalty }
+        );
+    }
+
+    if (seed !== undefined && !Number.isSafeInteger(seed)) {
+        throw ErrorHandler.BadRequest(
+            'seed must be an integer',
+            'INVALID_SEED',
+            { providedSeed: seed }
+        );
+    }
+
+    if (logit_bias !== undefined) {
+        const isObject = typeof logit_bias === 'object' && logit_bias !== null && !Array.isArray(logit_bias);
+        const entries = isObject ? Object.entries(logit_bias) : [];
+
+        if (!isObject || entries.length > MAX_LOGIT_BIAS_ENTRIES ||
+            entries.some(([token, bias]) => !/^\d+$/.test(token) || typeof bias !== 'number' || bias < -100 || bias > 100)) {
+            throw ErrorHandler.BadRequest(
+                `logit_bias must map up to ${MAX_LOGIT_BIAS_ENTRIES} token ids to numbers between -100 and 100`,
+                'INVALID_LOGIT_BIAS'
+            );
+        }
+    }
+
+    if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+        throw ErrorHandler.BadRequest(
+            `n must be an integer between 1 and ${MAX_CHOICES}`,
+            'INVALID_N',
+            { providedN: n }
+        );
+    }
+}
+
+// Only failures that another model's keys could avoid move down the chain;
+// client errors such as an oversized prompt would fail there too.
+function isFallbackEligible(response) {
+    const statusCode = response.statusCode;
+
+    if (CONTEXT_LENGTH_ERROR_PATTERN.test(response.details?.lastErrorMessage || '')) {
+        return false;
+    }
+
+    return !statusCode || statusCode === 401 || statusCode === 403 || statusCode === 408 ||
+        statusCode === 429 || statusCode >= 500;
+}
+
+// Calls `model` and, when all of its keys fail and fallback is enabled, walks
+// its fallback chain. Candidates that cannot take the request (no vision for
+// image inputs, smaller context window) are skipped. Returns the upstream
+// response together with the model and system prompt that produced it.
+async function callWithFallback(model, messages, options, context) {
+    const { enabled, systemPromptVersion, buildSystemPrompt, requiredContext, requestId } = context;
+    const attemptedModels = [model];
+    const response = await makeApiCallWithRetry(model, messages, options, requestId);
+    const primary = {
+        response,
+        model,
+        systemPrompt: options.systemPrompt,
+        promptVersion: systemPromptVersion,
+        fallback: null,
+        attemptedModels
+    };
+
+    if (response.success || !enabled || !isFallbackEligible(response)) {
+        return primary;
+    }
+
+    for (const candidate of getFallbackChain(model)) {
+        if (options.hasImages && !supportsVision(candidate)) {
+            continue;
+        }
+
+        if (getContextLength(candidate) < requiredContext) {
+            continue;
+        }
+
+        Logger.warn(`Falling back from ${model} to ${candidate}`, {
+            requestId,
+            failedModels: attemptedModels,
+            lastStatusCode: response.statusCode
+        });
+
+        const candidatePrompt = await buildSystemPrompt(candidate);
+        attemptedModels.push(candidate);
+
+        const candidateResponse = await makeApiCallWithRetry(
+            candidate,
+            messages,
+            { ...options, systemPrompt: candidatePrompt.prompt },
+            requestId
+        );
+
+        if (candidateResponse.success) {
+            return {
+                response: candidateResponse,
+                model: candidate,
+                systemPrompt: candidatePrompt.prompt,
+                promptVersion: candidatePrompt.version,
+                fallback: {
+                    requested_model: model,
+                    failed_models: attemptedModels.slice(0, -1),
+                    reason: response.statusCode === 429 ? 'rate_limited' : 'upstream_unavailable'
+                },
+                attemptedModels
+            };
+        }
+
+        if (!isFallbackEligible(candidateResponse)) {
+            break;
+        }
+    }
+
+    return primary;
+}
+
+// Replaces choices that fail the output checks with an empty message and
+// finish_reason "content_filter". Tokens the upstream produced are still billed.
+async function filterOutputChoices(choices, { remoteTexts, callModel, violationContext }) {
+    if (!hasChecks('output')) {
+        return null;
+    }
+
+    const verdict = await runGuardrails('output', choices.map(getOutputText), {
+        remoteTexts,
+        callModel,
+        requestId: violationContext.requestId
+    });
+
+    recordViolations(verdict, { ...violationContext, stage: 'output' });
+
+    verdict.results.forEach((result, index) => {
+        if (result.blocked) {
+            choices[index] = { ...choices[index], content: '', toolCalls: null, finishReason: 'content_filter' };
+        }
+    });
+
+    return verdict;
+}
+
+// Guardrail classifier calls run on the caller's behalf, so they are billed
+// to the caller's key under the endpoint being served, like the summaries of
+// truncated conversations
+function createGuardrailModelCaller({ userApiKey, endpoint, usageDiscount = 0, deadline = null, requestId }) {
+    return async (checkModel, checkMessages, checkOptions) => {
+        const callStart = Date.now();
+        const response = await makeApiCallWithRetry(checkModel, checkMessages, { ...checkOptions, deadline }, requestId);
+
+        if (response.success) {
+            const promptMessages = checkOptions.systemPrompt
+                ? [{ role: 'system', content: checkOptions.systemPrompt }, ...checkMessages]
+                : checkMessages;
+            const tokenUsage = resolveTokenUsage(
+                response.usage,
+                countChatTokens(promptMessages, checkModel).total,
+                () => countTokens(response.choices[0]?.content || '', checkModel)
+            );
+
+            await updateApiUsage(
+                userApiKey,
+                endpoint,
+                checkModel,
+                tokenUsage.promptTokens,
+                tokenUsage.completionTokens,
+                Date.now() - callStart,
+                200,
+                null,
+                usageDiscount
+            );
+        }
+
+        return response;
+    };
+}
+
+async function summarizeMessages(messages, deadline, requestId) {
+    const summaryRequest = buildSummaryRequest(messages);
+    const response = await makeApiCallWithRetry(SUMMARY_MODEL, summaryRequest.messages, {
+        params: summaryRequest.params,
+        systemPrompt: summaryRequest.systemPrompt,
+        deadline
+    }, requestId);
+
+    if (!response.success || !response.choices[0].content) {
+        throw new Error(response.error || 'Summary model returned no content');
+    }
+
+    return {
+        content: response.choices[0].content,
+        usage: response.usage
+    };
+}
+
+// Not every upstream honours `n`, so missing choices are requested one by one.
+// Each extra call is a full upstream request, so its prompt and completion
+// tokens are both added to the usage, and it is counted in `extraCalls` for
+// when the usage has to be estimated.
+async function fillMissingChoices(model, messages, callOptions, response, n, requestId) {
+    const singleChoiceParams = { ...callOptions.params };
+    delete singleChoiceParams.n;
+
+    while (response.choices.length < n) {
+        const extra = await makeApiCallWithRetry(model, messages, {
+            ...callOptions,
+            params: singleChoiceParams,
+            stream: false
+        }, requestId);
+
+        if (!extra.success) {
+            Logger.warn('Could not generate all requested choices', {
+                requestId,
+                model,
+                requested: n,
+                generated: response.choices.length
+            });
+            break;
+        }
+
+        for (const choice of extra.choices) {
+            if (response.choices.length >= n) break;
+            response.choices.push({ ...choice, index: response.choices.length });
+        }
+
+        response.usage = addUsage(response.usage, extra.usage);
+        response.extraCalls = (response.extraCalls || 0) + 1;
+    }
+}
+
+// Validates every text choice against the requested JSON format. Invalid
+// replies are repaired locally when possible, otherwise the model is re-asked
+// while the request still has attempts left out of MAX_RETRIES.
+async function enforceStructuredOutput(model, messages, callOptions, response, format, requestId) {
+    const singleChoiceParams = { ...callOptions.params };
+    delete singleChoiceParams.n;
+    let attemptsLeft = MAX_RETRIES - (response.attempts || 1);
+
+    for (const choice of response.choices) {
+        if (choice.toolCalls) {
+            continue;
+        }
+
+        let check = checkStructuredOutput(format, choice.content);
+        let lastContent = choice.content;
+        let lastFinishReason = choice.finishReason;
+
+        while (!check.valid && attemptsLeft > 0) {
+            Logger.warn('Model reply failed structured output validation, re-asking', {
+                requestId,
+                model,
+                choiceIndex: choice.index,
+                errors: check.errors.slice(0, 5),
+                attemptsLeft
+            });
+
+            const retry = await makeApiCallWithRetry(model, [
+                ...messages,
+                ...buildRepairMessages(lastContent, check.errors)
+            ], { ...callOptions, params: singleChoiceParams, stream: false }, requestId);
+
+            attemptsLeft -= retry.attempts || 1;
+
+            if (!retry.success) {
+                break;
+            }
+
+            response.usage = addUsage(response.usage, retry.usage);
+            response.extraCalls = (response.extraCalls || 0) + 1;
+            lastContent = retry.choices[0].content;
+            lastFinishReason = retry.choices[0].finishReason;
+            check = checkStructuredOutput(format, lastContent);
+        }
+
+        if (!check.valid) {
+            throw ErrorHandler.BadGateway(
+                `Model ${model} did not produce output matching the requested ${format.type} format`,
+                'STRUCTURED_OUTPUT_INVALID',
+                { choiceIndex: choice.index, errors: check.errors.slice(0, 10) }
+            );
+        }
+
+        if (check.repaired || lastContent !== choice.content) {
+            Logger.info('Structured output repaired', { requestId, model, choiceIndex: choice.index });
+        }
+
+        choice.content = check.content;
+        choice.finishReason = lastFinishReason;
+    }
+}
+
+// Only a total of two reported usages is trusted; when either side is
+// missing the caller falls back to estimates for every call
+function addUsage(usage, extra) {
+    if (!usage || !extra) {
+        return undefined;
+    }
+
+    return {
+        ...usage,
+        prompt_tokens: usage.prompt_tokens + extra.prompt_tokens,
+        completion_tokens: usage.completion_tokens + extra.completion_tokens
+    };
+}
+
+// Upstream counts win over our own estimates; `sources` tells callers which
+// one each number came from.
+function resolveTokenUsage(upstreamUsage, estimatedPromptTokens, estimateCompletionTokens) {
+    const hasUpstreamPrompt = Number.isFinite(upstreamUsage?.prompt_tokens);
+    const hasUpstreamCompletion = Number.isFinite(upstreamUsage?.completion_tokens);
+
+    return {
+        promptTokens: hasUpstreamPrompt ? upstreamUsage.prompt_tokens : estimatedPromptTokens,
+        completionTokens: hasUpstreamCompletion ? upstreamUsage.completion_tokens : estimateCompletionTokens(),
+        sources: {
+            prompt_tokens: hasUpstreamPrompt ? 'upstream' : 'estimated',
+            completion_tokens: hasUpstreamCompletion ? 'upstream' : 'estimated'
+        }
+    };
+}
+
+function estimateChoiceTokens(choice, model) {
+    return countTokens((choice.content || '') + (choice.toolCalls ? JSON.stringify(choice.toolCalls) : ''), model);
+}
+
+// Shapes a completion (fresh or from the response cache) as the public
+// chat.completion body
+function formatCompletionBody(completion) {
+    const {
+        model,
+        systemFingerprint,
+        fallback,
+        choices,
+        promptTokens,
+        completionTokens,
+        imageTokens,
+        tokenSources,
+        truncation
+    } = completion;
+
+    return {
+        id: `chatcmpl-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: choices.map(choice => ({
+            index: choice.index,
+            message: {
+                role: 'assistant',
+                content: choice.content,
+                ...(choice.toolCalls && { tool_calls: choice.toolCalls })
+            },
+            finish_reason: choice.finishReason
+        })),
+        usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            ...(imageTokens > 0 && { prompt_tokens_details: { image_tokens: imageTokens } }),
+            token_sources: tokenSources
+        },
+        system_fingerprint: systemFingerprint,
+        ...(fallback && { fallback }),
+        ...(truncation && { truncation })
+    };
+}
+
+function omitUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+    handleChatCompletion,
+    makeApiCallWithRetry,
+    createGuardrailModelCaller,
+    validateMessage
+};
@@ -0,0 +1,211 @@
+const { ErrorHandler } = require('./errorHandler');
+
+const ALLOWED_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_URL_LENGTH = 2048;
+const MAX_TEXT_PART_LENGTH = 200000;
+const MAX_CONTENT_PARTS = 50;
+const VALID_IMAGE_DETAILS = ['auto', 'low', 'high'];
+
+const IMAGE_TOKENS = {
+    low: 85,
+    high: 765,
+    auto: 765
+};
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/i;
+
+function validateContentParts(content, messageIndex, role) {
+    if (!Array.isArray(content)) {
+        return;
+    }
+
+    if (content.length === 0) {
+        throw ErrorHandler.BadRequest(
+            `Content parts at message index ${messageIndex} cannot be empty`,
+            'EMPTY_CONTENT_PARTS',
+            { messageIndex }
+        );
+    }
+
+    if (content.length > MAX_CONTENT_PARTS) {
+        throw ErrorHandler.BadRequest(
+            `A maximum of ${MAX_CONTENT_PARTS} content parts is allowed per message`,
+            'TOO_MANY_CONTENT_PARTS',
+            { messageIndex, maxParts: MAX_CONTENT_PARTS, providedParts: content.length }
+        );
+    }
+
+    content.forEach((part, partIndex) => {
+        const location = { messageIndex, partIndex };
+
+        if (!part || typeof part !== 'object') {
+            throw ErrorHandler.BadRequest(
+                `Invalid content part at message index ${messageIndex}, part ${partIndex}`,
+                'INVALID_CONTENT_PART',
+                location
+            );
+        }
+
+        if (part.type === 'text') {
+            if (typeof part.text !== 'string') {
+                throw ErrorHandler.BadRequest(
+                    `Text part at message index ${messageIndex}, part ${partIndex} must have a string 'text' field`,
+                    'INVALID_CONTENT_PART',
+                    location
+                );
+            }
+
+            if (part.text.length > MAX_TEXT_PART_LENGTH) {
+                throw ErrorHandler.BadRequest(
+                    'Text content part is too long',
+                    'CONTENT_PART_TOO_LARGE',
+                    { ...location, maxLength: MAX_TEXT_PART_LENGTH, providedLength: part.text.length }
+                );
+            }
+            return;
+        }
+
+        if (part.type === 'image_url') {
+            if (role !== 'user') {
+                throw ErrorHandler.BadRequest(
+                    `Image parts are only allowed in user messages (message index ${messageIndex})`,
+                    'INVALID_CONTENT_PART',
+                    { ...location, role }
+                );
+            }
+
+            validateImagePart(part, location);
+            return;
+        }
+
+        throw ErrorHandler.BadRequest(
+            `Unsupported content part type '${part.type}'`,
+            'UNSUPPORTED_CONTENT_PART_TYPE',
+            { ...location, supportedTypes: ['text', 'image_url'] }
+        );
+    });
+}
+
+function validateImagePart(part, location) {
+    const url = part.image_url?.url;
+    const detail = part.image_url?.detail;
+
+    if (typeof url !== 'string' || url.length === 0) {
+        throw ErrorHandler.BadRequest(
+            "Image part must have an 'image_url.url' string",
+            'INVALID_IMAGE_URL',
+            location
+        );
+    }
+
+    if (detail !== undefined && !VALID_IMAGE_DETAILS.includes(detail)) {
+        throw ErrorHandler.BadRequest(
+            `Invalid image detail '${detail}'`,
+            'INVALID_IMAGE_DETAIL',
+            { ...location, validDetails: VALID_IMAGE_DETAILS }
+        );
+    }
+
+    if (url.startsWith('data:')) {
+        const match = url.match(DATA_URL_PATTERN);
+
+        if (!match) {
+            throw ErrorHandler.BadRequest(
+                'Image data URL must be base64 encoded (data:<mime>;base64,<data>)',
+                'INVALID_IMAGE_URL',
+                location
+            );
+        }
+
+        const mimeType = match[1].toLowerCase();
+
+        if (!ALLOWED_IMAGE_MIME_TYPES.includes(mimeType)) {
+            throw ErrorHandler.BadRequest(
+                `Unsupported image type '${mimeType}'`,
+                'UNSUPPORTED_IMAGE_TYPE',
+                { ...location, allowedTypes: ALLOWED_IMAGE_MIME_TYPES }
+            );
+        }
+
+        const base64 = match[2].replace(/\s/g, '');
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        const sizeBytes = Math.floor(base64.length * 3 / 4) - padding;
+
+        if (sizeBytes > MAX_IMAGE_BYTES) {
+            throw ErrorHandler.BadRequest(
+                'Image is too large',
+                'IMAGE_TOO_LARGE',
+                { ...location, maxBytes: MAX_IMAGE_BYTES, providedBytes: sizeBytes }
+            );
+        }
+        return;
+    }
+
+    if (url.length > MAX_IMAGE_URL_LENGTH) {
+        throw ErrorHandler.BadRequest(
+            'Image URL is too long',
+            'INVALID_IMAGE_URL',
+            { ...location, maxLength: MAX_IMAGE_URL_LENGTH }
+        );
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw ErrorHandler.BadRequest(
+            'Image URL must be an http(s) URL or a base64 data URL',
+            'INVALID_IMAGE_URL',
+            location
+        );
+    }
+}
+
+function getContentText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    if (!Array.isArray(content)) {
+        return '';
+    }
+
+    return content
+        .filter(part => part && part.type === 'text')
+        .map(part => part.text)
+        .join(' ');
+}
+
+function getImageParts(content) {
+    if (!Array.isArray(content)) {
+        return [];
+    }
+
+    return content.filter(part => part && part.type === 'image_url');
+}
+
+function hasImageContent(messages) {
+    return messages.some(msg => getImageParts(msg.content).length > 0);
+}
+
+function estimateImageTokens(messages) {
+    return messages.reduce((total, msg) => {
+        return total + getImageParts(msg.content).reduce((sum, part) => {
+            return sum + IMAGE_TOKENS[part.image_url.detail || 'auto'];
+        }, 0);
+    }, 0);
+}
+
+module.exports = {
+    validateContentParts,
+    getContentText,
+    hasImageContent,
+    estimateImageTokens,
+    ALLOWED_IMAGE_MIME_TYPES,
+    MAX_IMAGE_BYTES
+};
@@ -0,0 +1,220 @@
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getContentText, estimateImageTokens } = require('./contentParts');
+const { countChatTokens } = require('./tokenizer');
+const { getContextLength } = require('./models');
+
+const TRUNCATION_STRATEGIES = ['error', 'drop_oldest', 'summarize'];
+const DEFAULT_TRUNCATION = 'error';
+const SUMMARY_MODEL = 'orzion-mini';
+const SUMMARY_MAX_TOKENS = 512;
+const MAX_SUMMARY_SOURCE_CHARS = 4000;
+
+const SUMMARY_SYSTEM_PROMPT = 'You condense earlier parts of a conversation so it can continue within a limited context window. ' +
+    'Write a concise summary that preserves facts, decisions, names, numbers, code identifiers and open questions. ' +
+    'Write it in the language of the conversation. Reply with the summary only.';
+
+function validateTruncation(truncation) {
+    if (truncation === undefined) {
+        return DEFAULT_TRUNCATION;
+    }
+
+    if (!TRUNCATION_STRATEGIES.includes(truncation)) {
+        throw ErrorHandler.BadRequest(
+            `Invalid truncation strategy: ${truncation}`,
+            'INVALID_TRUNCATION',
+            { providedTruncation: truncation, validStrategies: TRUNCATION_STRATEGIES }
+        );
+    }
+
+    return truncation;
+}
+
+function buildSummaryRequest(messages) {
+    const transcript = messages.map(message => {
+        let text = getContentText(message.content);
+
+        if (message.tool_calls) {
+            text += ` [tool calls: ${JSON.stringify(message.tool_calls)}]`;
+        }
+
+        if (text.length > MAX_SUMMARY_SOURCE_CHARS) {
+            text = `${text.slice(0, MAX_SUMMARY_SOURCE_CHARS)} [...]`;
+        }
+
+        return `${message.role}: ${text}`;
+    }).join('\n\n');
+
+    return {
+        messages: [{ role: 'user', content: `Summarize this conversation:\n\n${transcript}` }],
+        systemPrompt: SUMMARY_SYSTEM_PROMPT,
+        params: { temperature: 0.2, max_tokens: SUMMARY_MAX_TOKENS }
+    };
+}
+
+function contextLengthError(model, contextLength, promptTokens, maxTokens, strategy) {
+    return ErrorHandler.BadRequest(
+        `This conversation needs ${promptTokens} prompt tokens plus ${maxTokens} for the reply, ` +
+            `but ${model} has a context window of ${contextLength} tokens`,
+        'CONTEXT_LENGTH_EXCEEDED',
+        {
+            model,
+            contextLength,
+            promptTokens,
+            maxTokens,
+            overflowTokens: promptTokens + maxTokens - contextLength,
+            truncation: strategy,
+            hint: strategy === 'error'
+                ? "Shorten the conversation, lower max_tokens, or send truncation: 'drop_oldest' or 'summarize'"
+                : 'The system prompt and latest user turn alone do not fit; shorten them or lower max_tokens'
+        }
+    );
+}
+
+// Picks the oldest messages to remove until `excess` tokens are freed.
+// System messages and everything from the latest user turn on are never
+// removed, and tool results go together with the call that produced them.
+function selectMessagesToRemove(messages, messageCosts, excess) {
+    let lastUserIndex = -1;
+    messages.forEach((message, index) => {
+        if (message.role === 'user') {
+            lastUserIndex = index;
+        }
+    });
+
+    const protectedFrom = lastUserIndex === -1 ? messages.length - 1 : lastUserIndex;
+    const removed = [];
+    let freed = 0;
+
+    for (let i = 0; i < protectedFrom; i++) {
+        if (messages[i].role === 'system') {
+            continue;
+        }
+
+        if (freed >= excess && messages[i].role !== 'tool') {
+            break;
+        }
+
+        removed.push(i);
+        freed += messageCosts[i];
+    }
+
+    return { removed, freed, enough: freed >= excess };
+}
+
+// Fits a conversation into the model's context window, leaving room for
+// `maxTokens` of output. `promptCount` is the countChatTokens result for the
+// system prompt plus `messages`; `summarize` is called with the removed
+// messages when the strategy is 'summarize' and resolves to { content, usage }.
+async function fitContextWindow(messages, options) {
+    const {
+        model,
+        systemPrompt,
+        tools,
+        maxTokens,
+        strategy,
+        promptCount,
+        summarize,
+        requestId
+    } = options;
+    const contextLength = getContextLength(model);
+    const budget = contextLength - maxTokens;
+
+    if (promptCount.total <= budget) {
+        return { messages, promptCount, truncation: null, summaryUsage: null };
+    }
+
+    if (strategy === 'error') {
+        throw contextLengthError(model, contextLength, promptCount.total, maxTokens, strategy);
+    }
+
+    // perMessage[0] is the system prompt; template overhead is spread evenly
+    const emptyCount = countChatTokens([], model);
+    const overheadPerMessage = Math.ceil(
+        (promptCount.templateTokens - emptyCount.templateTokens) / (messages.length + 1)
+    );
+    const messageCosts = messages.map((message, index) =>
+        promptCount.perMessage[index + 1] + overheadPerMessage + estimateImageTokens([message])
+    );
+    const summaryReserve = strategy === 'summarize' ? SUMMARY_MAX_TOKENS + overheadPerMessage + 16 : 0;
+    const selection = selectMessagesToRemove(messages, messageCosts, promptCount.total - budget + summaryReserve);
+
+    if (!selection.enough) {
+        throw contextLengthError(
+            model,
+            contextLength,
+            promptCount.total - selection.freed,
+            maxTokens,
+            strategy
+        );
+    }
+
+    const removedSet = new Set(selection.removed);
+    const kept = messages.filter((message, index) => !removedSet.has(index));
+    let fitted = kept;
+    let appliedStrategy = strategy;
+    let summaryUsage = null;
+
+    if (strategy === 'summarize') {
+        try {
+            const summary = await summarize(selection.removed.map(index => messages[index]));
+            // Nothing before the first removed message was removed, so its
+            // index is also where the summary goes in the kept list
+            const insertAt = selection.removed[0];
+
+            fitted = [
+                ...kept.slice(0, insertAt),
+                { role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` },
+                ...kept.slice(insertAt)
+            ];
+            summaryUsage = summary.usage || null;
+        } catch (error) {
+            Logger.warn('Conversation summary failed, dropping oldest turns instead', {
+                requestId,
+                model,
+                error: error.message
+            });
+            appliedStrategy = 'drop_oldest';
+        }
+    }
+
+    const fittedCount = countChatTokens([{ role: 'system', content: systemPrompt }, ...fitted], model, { tools });
+
+    if (fittedCount.total > budget) {
+        throw contextLengthError(model, contextLength, fittedCount.total, maxTokens, strategy);
+    }
+
+    Logger.info('Conversation trimmed to fit the context window', {
+        requestId,
+        model,
+        strategy: appliedStrategy,
+        removedMessages: selection.removed.length,
+        originalPromptTokens: promptCount.total,
+        promptTokens: fittedCount.total,
+        contextLength
+    });
+
+    return {
+        messages: fitted,
+        promptCount: fittedCount,
+        summaryUsage,
+        truncation: {
+            strategy: appliedStrategy,
+            ...(appliedStrategy !== strategy && { requested_strategy: strategy }),
+            context_length: contextLength,
+            original_prompt_tokens: promptCount.total,
+            prompt_tokens: fittedCount.total,
+            removed_messages: selection.removed.length,
+            removed_message_indices: selection.removed,
+            summarized: appliedStrategy === 'summarize'
+        }
+    };
+}
+
+module.exports = {
+    validateTruncation,
+    fitContextWindow,
+    buildSummaryRequest,
+    TRUNCATION_STRATEGIES,
+    SUMMARY_MODEL
+};
@@ -0,0 +1,181 @@
+const axios = require('axios');
+const { getCurrentApiKey, syncRotationState, rotateApiKey, recordKeySuccess, recordUpstreamError, allKeysFailed } = require('./apiKeyRotation');
+const { classifyHttpError } = require('./providers');
+const { estimateTokens } = require('./supabase');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { EMBEDDING_CATALOG, EMBEDDING_MODELS } = require('./models');
+
+const MAX_INPUTS = 2048;
+const MAX_RETRIES = 3;
+const API_TIMEOUT_MS = 30000;
+const VALID_ENCODING_FORMATS = ['float', 'base64'];
+
+function validateEmbeddingRequest({ model, input, encoding_format, dimensions }) {
+    if (!EMBEDDING_MODELS.includes(model)) {
+        throw ErrorHandler.BadRequest(
+            model ? `Invalid embedding model: ${model}` : 'Model parameter is required',
+            model ? 'INVALID_MODEL' : 'MISSING_MODEL',
+            { providedModel: model, validModels: EMBEDDING_MODELS }
+        );
+    }
+
+    const inputs = Array.isArray(input) ? input : [input];
+
+    if (inputs.length === 0 || inputs.length > MAX_INPUTS ||
+        inputs.some(item => typeof item !== 'string' || item.length === 0)) {
+        throw ErrorHandler.BadRequest(
+            `input must be a non-empty string or an array of up to ${MAX_INPUTS} non-empty strings`,
+            'INVALID_INPUT'
+        );
+    }
+
+    const maxInputTokens = EMBEDDING_CATALOG[model].maxInputTokens;
+    const tokenCounts = inputs.map(estimateTokens);
+    const tooLong = tokenCounts.findIndex(count => count > maxInputTokens);
+
+    if (tooLong !== -1) {
+        throw ErrorHandler.BadRequest(
+            `Input at index ${tooLong} is too long for ${model}`,
+            'INPUT_TOO_LONG',
+            { inputIndex: tooLong, estimatedTokens: tokenCounts[tooLong], maxInputTokens }
+        );
+    }
+
+    if (encoding_format !== undefined && !VALID_ENCODING_FORMATS.includes(encoding_format)) {
+        throw ErrorHandler.BadRequest(
+            `encoding_format must be one of ${VALID_ENCODING_FORMATS.join(', ')}`,
+            'INVALID_ENCODING_FORMAT',
+            { providedValue: encoding_format }
+        );
+    }
+
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+        throw ErrorHandler.BadRequest(
+            'dimensions must be a positive integer',
+            'INVALID_DIMENSIONS',
+            { providedValue: dimensions }
+        );
+    }
+
+    return {
+        inputs,
+        estimatedTokens: tokenCounts.reduce((total, count) => total + count, 0)
+    };
+}
+
+// Same key rotation and health tracking as chat calls, without fallback
+// models: another embedding model would produce incompatible vectors.
+async function createEmbeddings(model, input, params, requestId) {
+    let lastFailure = null;
+    let retryCount = 0;
+    const triedKeyIds = [];
+
+    while (retryCount < MAX_RETRIES) {
+        let apiKeyInfo = null;
+        let provider = null;
+
+        try {
+            await syncRotationState(model);
+            apiKeyInfo = getCurrentApiKey(model, { excludeKeyIds: triedKeyIds });
+            triedKeyIds.push(apiKeyInfo.keyId);
+            provider = apiKeyInfo.provider;
+
+            if (!provider.buildEmbeddingsRequest) {
+                throw ErrorHandler.ServiceUnavailable(
+                    `Provider ${provider.name} does not support embeddings`,
+                    'EMBEDDINGS_NOT_SUPPORTED',
+                    { model, provider: provider.name }
+                );
+            }
+
+            const upstreamRequest = provider.buildEmbeddingsRequest({
+                baseUrl: apiKeyInfo.baseUrl,
+                modelId: apiKeyInfo.modelId,
+                input,
+                params
+            });
+
+            const response = await axios.post(upstreamRequest.url, upstreamRequest.body, {
+                headers: provider.buildHeaders(apiKeyInfo.key),
+                timeout: API_TIMEOUT_MS
+            });
+
+            recordKeySuccess(model, apiKeyInfo.keyId);
+            const parsed = provider.parseEmbeddingsResponse(response.data);
+
+            if (!parsed) {
+                throw new Error(`Invalid embeddings response from ${provider.name} API`);
+            }
+
+            Logger.info(`Successful embeddings response from ${provider.name} for ${model}`, {
+                requestId,
+                keyLabel: apiKeyInfo.keyLabel,
+                attempt: retryCount + 1
+            });
+
+            return parsed;
+        } catch (error) {
+            if (error.isOperational) {
+                throw error;
+            }
+
+            retryCount++;
+            const failure = provider ? provider.classifyError(error) : classifyHttpError(error);
+            lastFailure = failure;
+
+            Logger.error(`Embeddings call failed for ${model}`, {
+                requestId,
+                attempt: retryCount,
+                provider: provider?.name,
+                statusCode: failure.statusCode,
+                errorMessage: failure.message
+            });
+
+            recordUpstreamError(model, apiKeyInfo?.keyId, failure);
+
+            if (apiKeyInfo?.keyId && failure.rotate) {
+                rotateApiKey(model, apiKeyInfo.keyId, failure);
+            } else if (apiKeyInfo?.keyId && failure.statusCode > 0) {
+                recordKeySuccess(model, apiKeyInfo.keyId);
+            }
+
+            if (!failure.rotate) {
+                break;
+            }
+        }
+    }
+
+    throw ErrorHandler.ServiceUnavailable(
+        `Failed to create embeddings with ${model} after ${retryCount} attempts`,
+        'API_CALL_FAILED',
+        {
+            attempts: retryCount,
+            lastStatusCode: lastFailure?.statusCode,
+            lastErrorMessage: lastFailure?.message,
+            allKeysFailed: allKeysFailed(model)
+        }
+    );
+}
+
+function formatEmbeddingsResponse(model, result, promptTokens) {
+    return {
+        object: 'list',
+        data: result.data.map(item => ({
+            object: 'embedding',
+            index: item.index,
+            embedding: item.embedding
+        })),
+        model,
+        usage: {
+            prompt_tokens: promptTokens,
+            total_tokens: promptTokens
+        }
+    };
+}
+
+module.exports = {
+    validateEmbeddingRequest,
+    createEmbeddings,
+    formatEmbeddingsResponse
+};
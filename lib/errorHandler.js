@@ -90,6 +90,10 @@ class ErrorHandler {
         return new ApiError(500, message, code, details);
     }
 
+    static BadGateway(message = 'Bad gateway', code = 'BAD_GATEWAY', details = null) {
+        return new ApiError(502, message, code, details);
+    }
+
     static ServiceUnavailable(message = 'Service unavailable', code = 'SERVICE_UNAVAILABLE', details = null) {
         return new ApiError(503, message, code, details);
     }
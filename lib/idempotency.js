@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getDatabaseClient } = require('./rateLimit');
+const { deriveSealingKey, isSealed, sealSecret, openSecret } = require('./sealedSecrets');
+
+// Responses are kept in the `idempotency_keys` table on the DATABASE_URL
+// connection, or in process memory when Postgres is not configured. A key is
+// claimed before the request runs; only 2xx responses are stored, so a
+// request that failed can be retried with the same key. Callers whose
+// response carries a secret (a newly created API key) ask for it to be sealed
+// before it is stored; without an encryption key such responses are not
+// stored at all.
+const DEFAULT_RETENTION_HOURS = 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// A claim without a response after this long belongs to a request that died
+// mid-flight and may be taken over
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const memoryStore = new Map();
+let tableReady = null;
+
+function getRetentionMs() {
+    const hours = parseFloat(process.env.IDEMPOTENCY_RETENTION_HOURS);
+    return (hours > 0 ? hours : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+async function ensureTable(client) {
+    if (!tableReady) {
+        tableReady = client.query(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                user_id VARCHAR(255) NOT NULL,
+                key VARCHAR(255) NOT NULL,
+                request_hash VARCHAR(64) NOT NULL,
+                status_code INTEGER,
+                response JSONB,
+                created_at BIGINT NOT NULL,
+                expires_at BIGINT NOT NULL,
+                PRIMARY KEY (user_id, key)
+            )
+        `).catch(error => {
+            tableReady = null;
+            throw error;
+        });
+    }
+
+    return tableReady;
+}
+
+function getSealingKey() {
+    const secret = process.env.IDEMPOTENCY_ENCRYPTION_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    return secret ? deriveSealingKey(secret) : null;
+}
+
+function hashRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ method: req.method, path: req.url, body: req.body ?? null }))
+        .digest('hex');
+}
+
+// Atomically claims the key. Returns the existing record when another
+// request already holds it, or null when this request now owns it.
+async function claimKey(userId, key, requestHash) {
+    const now = Date.now();
+    const client = getDatabaseClient();
+
+    if (!client) {
+        const existing = memoryStore.get(`${userId}:${key}`);
+
+        if (existing && existing.expiresAt > now &&
+            (existing.response !== null || existing.createdAt > now - STALE_CLAIM_MS)) {
+            return existing;
+        }
+
+        memoryStore.set(`${userId}:${key}`, {
+            requestHash,
+            statusCode: null,
+            response: null,
+            createdAt: now,
+            expiresAt: now + getRetentionMs()
+        });
+        return null;
+    }
+
+    await ensureTable(client);
+    await client.query('DELETE FROM idempotency_keys WHERE expires_at < $1', [now]);
+
+    const inserted = await client.query(
+        `INSERT INTO idempotency_keys (user_id, key, request_hash, created_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, key) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.response IS NULL AND idempotency_keys.created_at < $6`,
+        [userId, key, requestHash, now, now + getRetentionMs(), now - STALE_CLAIM_MS]
+    );
+
+    if (inserted.rowCount === 1) {
+        return null;
+    }
+
+    const result = await client.query(
+        'SELECT request_hash, status_code, response FROM idempotency_keys WHERE user_id = $1 AND key = $2',
+        [userId, key]
+    );
+    const row = result.rows[0];
+
+    return row
+        ? { requestHash: row.request_hash, statusCode: row.status_code, response: row.response }
+        : null;
+}
+
+// Sealed responses are stored as a single sealed string
+function openResponse(response) {
+    return typeof response === 'string' && isSealed(response)
+        ? JSON.parse(openSecret(response, getSealingKey()))
+        : response;
+}
+
+async function saveResponse(userId, key, statusCode, body) {
+    const client = getDatabaseClient();
+
+    if (!client) {
+        const entry = memoryStore.get(`${userId}:${key}`);
+        if (entry) {
+            entry.statusCode = statusCode;
+            entry.response = body;
+        }
+        return;
+    }
+
+    await client.query(
+        'UPDATE idempotency_keys SET status_code = $1, response = $2 WHERE user_id = $3 AND key = $4',
+        [statusCode, JSON.stringify(body), userId, key]
+    );
+}
+
+async function releaseKey(userId, key) {
+    const client = getDatabaseClient();
+
+    if (!client) {
+        memoryStore.delete(`${userId}:${key}`);
+        return;
+    }
+
+    await client.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2', [userId, key]);
+}
+
+// Honours the Idempotency-Key header for a request made by `userId`. When the
+// key was already used for the same request, the stored response is sent and
+// `{ replayed: true }` is returned; the caller must stop there. Otherwise the
+// response this request sends is stored for later replays.
+async function handleIdempotencyKey(req, res, userId, requestId, { sealResponse = false } = {}) {
+    const key = req.headers['idempotency-key'];
+
+    if (key === undefined) {
+        return { replayed: false };
+    }
+
+    if (typeof key !== 'string' || key.trim().length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        throw ErrorHandler.BadRequest(
+            `Idempotency-Key must be a non-empty string of up to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+            'INVALID_IDEMPOTENCY_KEY'
+        );
+    }
+
+    const requestHash = hashRequest(req);
+    let existing;
+
+    try {
+        existing = await claimKey(userId, key, requestHash);
+    } catch (error) {
+        Logger.error('Idempotency store unavailable, processing request without it', {
+            requestId,
+            error: error.message
+        });
+        return { replayed: false };
+    }
+
+    if (existing) {
+        if (existing.requestHash !== requestHash) {
+            throw ErrorHandler.Conflict(
+                'This Idempotency-Key was already used with a different request',
+                'IDEMPOTENCY_KEY_REUSED',
+                { hint: 'Use a new Idempotency-Key for each distinct request' }
+            );
+        }
+
+        if (existing.response === null || existing.response === undefined) {
+            throw ErrorHandler.Conflict(
+                'A request with this Idempotency-Key is still being processed',
+                'IDEMPOTENCY_KEY_IN_PROGRESS',
+                { hint: 'Retry after the original request has completed' }
+            );
+        }
+
+        let response;
+        try {
+            response = openResponse(existing.response);
+        } catch (error) {
+            Logger.error('Stored idempotent response could not be opened', { requestId, userId, error: error.message });
+            throw ErrorHandler.Conflict(
+                'The stored response for this Idempotency-Key can no longer be read',
+                'IDEMPOTENCY_RESPONSE_UNAVAILABLE',
+                { hint: 'Use a new Idempotency-Key' }
+            );
+        }
+
+        Logger.info('Replaying stored idempotent response', { requestId, userId, statusCode: existing.statusCode });
+
+        res.setHeader('Idempotent-Replayed', 'true');
+        res.status(existing.statusCode).json(response);
+        return { replayed: true };
+    }
+
+    const originalJson = res.json;
+    const sealingKey = sealResponse ? getSealingKey() : null;
+
+    // The response is held back until the record is written, so a client
+    // that sees it can always replay it
+    res.json = function(body) {
+        const statusCode = res.statusCode;
+        const storable = statusCode >= 200 && statusCode < 300 && (!sealResponse || sealingKey);
+        const finish = storable
+            ? saveResponse(userId, key, statusCode, sealResponse ? sealSecret(JSON.stringify(body), sealingKey) : body)
+            : releaseKey(userId, key);
+
+        finish
+            .catch(error => Logger.error('Failed to update idempotency record', {
+                requestId,
+                error: error.message
+            }))
+            .then(() => originalJson.call(res, body));
+
+        return res;
+    };
+
+    return { replayed: false };
+}
+
+module.exports = {
+    handleIdempotencyKey
+};
@@ -0,0 +1,208 @@
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getDatabaseClient } = require('./rateLimit');
+const { deriveSealingKey, isSealed, sealSecret, openSecret } = require('./sealedSecrets');
+
+// Shares upstream key health and runtime key pool changes between serverless
+// instances. KEY_ROTATION_STATE_BACKEND picks 'postgres' (the DATABASE_URL
+// connection) or 'memory' (each instance keeps its own state, as before).
+// Health rows are stored by key fingerprint and only move forward: a write
+// older than the stored row is ignored. The same rows hold the smooth
+// weighted round-robin counters; every selection adds its step to them, so
+// all instances advance one shared rotation. `upstream_keys` holds the keys added
+// through the admin API, sealed with UPSTREAM_KEY_ENCRYPTION_KEY (or the
+// Supabase service key), and admin overrides for keys that come from the
+// environment. Rows written in clear text before sealing are sealed the next
+// time they are read.
+let tableReady = null;
+
+function isSharedStateEnabled() {
+    const configured = process.env.KEY_ROTATION_STATE_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+    return configured === 'postgres' && Boolean(getDatabaseClient());
+}
+
+async function ensureTable(client) {
+    if (!tableReady) {
+        tableReady = client.query(`
+            CREATE TABLE IF NOT EXISTS upstream_key_state (
+                model VARCHAR(64) NOT NULL,
+                key_id VARCHAR(64) NOT NULL,
+                state VARCHAR(16) NOT NULL,
+                consecutive_failures INTEGER NOT NULL DEFAULT 0,
+                consecutive_opens INTEGER NOT NULL DEFAULT 0,
+                last_error_class VARCHAR(64),
+                last_failure_at BIGINT,
+                open_until BIGINT,
+                probe_started_at BIGINT,
+                updated_at BIGINT NOT NULL,
+                current_weight DOUBLE PRECISION NOT NULL DEFAULT 0,
+                PRIMARY KEY (model, key_id)
+            )
+        `).then(() => client.query(`
+            ALTER TABLE upstream_key_state ADD COLUMN IF NOT EXISTS current_weight DOUBLE PRECISION NOT NULL DEFAULT 0
+        `)).then(() => client.query(`
+            CREATE TABLE IF NOT EXISTS upstream_keys (
+                model VARCHAR(64) NOT NULL,
+                key_id VARCHAR(64) NOT NULL,
+                api_key TEXT,
+                label VARCHAR(100),
+                weight REAL,
+                rpm INTEGER,
+                disabled BOOLEAN NOT NULL DEFAULT FALSE,
+                removed BOOLEAN NOT NULL DEFAULT FALSE,
+                updated_at BIGINT NOT NULL,
+                PRIMARY KEY (model, key_id)
+            )
+        `)).catch(error => {
+            tableReady = null;
+            throw error;
+        });
+    }
+
+    return tableReady;
+}
+
+const toNumber = value => value === null || value === undefined ? null : Number(value);
+
+function getSealingKey() {
+    const secret = process.env.UPSTREAM_KEY_ENCRYPTION_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    return secret ? deriveSealingKey(secret) : null;
+}
+
+// A key that cannot be opened leaves the pool rather than failing the sync
+function openStoredKey(client, model, row) {
+    if (!row.api_key) {
+        return null;
+    }
+
+    const sealingKey = getSealingKey();
+
+    if (!isSealed(row.api_key)) {
+        if (sealingKey) {
+            client.query(
+                'UPDATE upstream_keys SET api_key = $3 WHERE model = $1 AND key_id = $2 AND api_key = $4',
+                [model, row.key_id, sealSecret(row.api_key, sealingKey), row.api_key]
+            ).catch(error => Logger.error('Failed to seal stored upstream key', { model, keyId: row.key_id, error: error.message }));
+        }
+
+        return row.api_key;
+    }
+
+    try {
+        if (!sealingKey) {
+            throw new Error('No encryption key is configured');
+        }
+
+        return openSecret(row.api_key, sealingKey);
+    } catch (error) {
+        Logger.error('Stored upstream key could not be opened', { model, keyId: row.key_id, error: error.message });
+        return null;
+    }
+}
+
+// Returns { health: Map<keyId, health>, weights: Map<keyId, currentWeight>,
+// overrides: Map<keyId, override> }
+async function loadRotationState(model) {
+    const client = getDatabaseClient();
+    await ensureTable(client);
+
+    const [healthRows, keyRows] = await Promise.all([
+        client.query('SELECT * FROM upstream_key_state WHERE model = $1', [model]),
+        client.query('SELECT * FROM upstream_keys WHERE model = $1', [model])
+    ]);
+
+    const health = new Map(healthRows.rows.map(row => [row.key_id, {
+        state: row.state,
+        consecutiveFailures: row.consecutive_failures,
+        consecutiveOpens: row.consecutive_opens,
+        lastErrorClass: row.last_error_class,
+        lastFailureAt: toNumber(row.last_failure_at),
+        openUntil: toNumber(row.open_until),
+        probeStartedAt: toNumber(row.probe_started_at),
+        updatedAt: Number(row.updated_at)
+    }]));
+    const weights = new Map(healthRows.rows.map(row => [row.key_id, Number(row.current_weight)]));
+    const overrides = new Map(keyRows.rows.map(row => [row.key_id, {
+        key: openStoredKey(client, model, row),
+        label: row.label,
+        weight: row.weight,
+        rpm: row.rpm,
+        disabled: row.disabled,
+        removed: row.removed
+    }]));
+
+    return { health, weights, overrides };
+}
+
+async function saveKeyHealth(model, keyId, health) {
+    const client = getDatabaseClient();
+    await ensureTable(client);
+
+    await client.query(
+        `INSERT INTO upstream_key_state (model, key_id, state, consecutive_failures, consecutive_opens,
+             last_error_class, last_failure_at, open_until, probe_started_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (model, key_id) DO UPDATE
+         SET state = EXCLUDED.state, consecutive_failures = EXCLUDED.consecutive_failures,
+             consecutive_opens = EXCLUDED.consecutive_opens, last_error_class = EXCLUDED.last_error_class,
+             last_failure_at = EXCLUDED.last_failure_at, open_until = EXCLUDED.open_until,
+             probe_started_at = EXCLUDED.probe_started_at, updated_at = EXCLUDED.updated_at
+         WHERE upstream_key_state.updated_at < EXCLUDED.updated_at`,
+        [
+            model, keyId, health.state, health.consecutiveFailures, health.consecutiveOpens,
+            health.lastErrorClass, health.lastFailureAt, health.openUntil, health.probeStartedAt, health.updatedAt
+        ]
+    );
+}
+
+// Adds one selection's round-robin step ([keyId, delta] pairs) to the shared
+// counters. Rows that do not exist yet start as healthy with updated_at 0,
+// so any real health write replaces them.
+async function addRotationWeights(model, deltas) {
+    const client = getDatabaseClient();
+    await ensureTable(client);
+
+    await client.query(
+        `INSERT INTO upstream_key_state (model, key_id, state, updated_at, current_weight)
+         SELECT $1, step.key_id, 'closed', 0, step.delta
+         FROM unnest($2::text[], $3::double precision[]) AS step(key_id, delta)
+         ON CONFLICT (model, key_id) DO UPDATE
+         SET current_weight = upstream_key_state.current_weight + EXCLUDED.current_weight`,
+        [model, deltas.map(([keyId]) => keyId), deltas.map(([, delta]) => delta)]
+    );
+}
+
+async function saveKeyOverride(model, keyId, override) {
+    const client = getDatabaseClient();
+    const sealingKey = getSealingKey();
+
+    if (override.key && !sealingKey) {
+        throw ErrorHandler.ServiceUnavailable(
+            'Upstream keys cannot be stored: no encryption key is configured',
+            'KEY_ENCRYPTION_NOT_CONFIGURED',
+            { hint: 'Set UPSTREAM_KEY_ENCRYPTION_KEY' }
+        );
+    }
+
+    await ensureTable(client);
+
+    await client.query(
+        `INSERT INTO upstream_keys (model, key_id, api_key, label, weight, rpm, disabled, removed, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (model, key_id) DO UPDATE
+         SET api_key = EXCLUDED.api_key, label = EXCLUDED.label, weight = EXCLUDED.weight, rpm = EXCLUDED.rpm,
+             disabled = EXCLUDED.disabled, removed = EXCLUDED.removed, updated_at = EXCLUDED.updated_at`,
+        [
+            model, keyId, override.key ? sealSecret(override.key, sealingKey) : null, override.label, override.weight, override.rpm,
+            override.disabled, override.removed, Date.now()
+        ]
+    );
+}
+
+module.exports = {
+    isSharedStateEnabled,
+    loadRotationState,
+    saveKeyHealth,
+    addRotationWeights,
+    saveKeyOverride
+};
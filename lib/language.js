@@ -0,0 +1,133 @@
+const { ErrorHandler } = require('./errorHandler');
+const { getContentText } = require('./contentParts');
+
+// Endonyms are used so the name reads correctly inside any prompt template.
+const SUPPORTED_LANGUAGES = {
+    es: 'español',
+    en: 'English',
+    pt: 'português',
+    fr: 'français',
+    de: 'Deutsch',
+    it: 'italiano'
+};
+
+const DEFAULT_LANGUAGE = 'es';
+const MIN_DETECTION_SCORE = 2;
+const MAX_DETECTION_CHARS = 2000;
+
+const STOPWORDS = {
+    es: ['el', 'la', 'los', 'las', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'no', 'se', 'del', 'al', 'lo', 'como', 'pero', 'qué', 'cómo', 'está', 'hola', 'gracias', 'necesito', 'quiero', 'puedes', 'mi', 'muy', 'esto', 'favor'],
+    en: ['the', 'and', 'is', 'are', 'to', 'of', 'in', 'that', 'it', 'you', 'for', 'with', 'on', 'this', 'what', 'how', 'can', 'please', 'i', 'my', 'do', 'does', 'be', 'have', 'hello', 'thanks', 'need', 'want', 'why', 'an'],
+    pt: ['o', 'os', 'que', 'e', 'em', 'um', 'uma', 'é', 'não', 'para', 'com', 'do', 'da', 'por', 'como', 'mais', 'você', 'obrigado', 'olá', 'está', 'eu', 'preciso', 'quero', 'isso', 'muito'],
+    fr: ['le', 'la', 'les', 'des', 'et', 'est', 'un', 'une', 'en', 'que', 'qui', 'pour', 'pas', 'je', 'vous', 'avec', 'dans', 'ce', 'merci', 'bonjour', 'comment', 'pourquoi', 'besoin', 'mon', 'sur'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'ein', 'eine', 'zu', 'mit', 'auf', 'für', 'wie', 'was', 'bitte', 'danke', 'hallo', 'warum', 'brauche', 'mein', 'es', 'den'],
+    it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'come', 'sono', 'ciao', 'grazie', 'questo', 'perché', 'ho', 'bisogno', 'mio', 'della', 'nel']
+};
+
+const CHARACTER_HINTS = {
+    es: /[ñ¿¡]/g,
+    pt: /[ãõ]/g,
+    fr: /[œùû]/g,
+    de: /[ß]/g
+};
+
+function normalizeLanguageTag(tag) {
+    if (typeof tag !== 'string') {
+        return null;
+    }
+
+    const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+function parseAcceptLanguage(header) {
+    if (typeof header !== 'string' || header.trim().length === 0) {
+        return [];
+    }
+
+    return header
+        .split(',')
+        .map(entry => {
+            const [tag, ...params] = entry.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+
+            return { code: normalizeLanguageTag(tag), quality: Number.isNaN(quality) ? 0 : quality };
+        })
+        .filter(entry => entry.code && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality)
+        .map(entry => entry.code);
+}
+
+function detectLanguage(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+        return null;
+    }
+
+    const sample = text.slice(0, MAX_DETECTION_CHARS).toLowerCase();
+    const words = sample.split(/[^\p{L}]+/u).filter(Boolean);
+    const scores = {};
+
+    for (const code of Object.keys(STOPWORDS)) {
+        const stopwords = new Set(STOPWORDS[code]);
+        scores[code] = words.filter(word => stopwords.has(word)).length;
+
+        if (CHARACTER_HINTS[code]) {
+            scores[code] += 2 * (sample.match(CHARACTER_HINTS[code]) || []).length;
+        }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestCode, bestScore] = ranked[0];
+
+    if (bestScore < MIN_DETECTION_SCORE || bestScore === ranked[1][1]) {
+        return null;
+    }
+
+    return bestCode;
+}
+
+function toLanguage(code, source) {
+    return { code, name: SUPPORTED_LANGUAGES[code], source };
+}
+
+// Resolution order: explicit `language` field, Accept-Language header, then
+// detection on the latest user message. Falls back to DEFAULT_LANGUAGE.
+function resolveLanguage({ language, acceptLanguage, messages = [] }) {
+    if (language !== undefined && language !== null) {
+        const code = normalizeLanguageTag(language);
+
+        if (!code || !SUPPORTED_LANGUAGES[code]) {
+            throw ErrorHandler.BadRequest(
+                `Unsupported language: ${language}`,
+                'UNSUPPORTED_LANGUAGE',
+                { providedLanguage: language, supportedLanguages: Object.keys(SUPPORTED_LANGUAGES) }
+            );
+        }
+
+        return toLanguage(code, 'request');
+    }
+
+    const headerCode = parseAcceptLanguage(acceptLanguage).find(code => SUPPORTED_LANGUAGES[code]);
+
+    if (headerCode) {
+        return toLanguage(headerCode, 'header');
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message && message.role === 'user');
+    const detectedCode = lastUserMessage ? detectLanguage(getContentText(lastUserMessage.content)) : null;
+
+    if (detectedCode) {
+        return toLanguage(detectedCode, 'detected');
+    }
+
+    return toLanguage(DEFAULT_LANGUAGE, 'default');
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage,
+    detectLanguage,
+    parseAcceptLanguage
+};
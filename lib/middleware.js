@@ -72,7 +72,7 @@ function corsMiddleware(req, res, next) {
     }
 
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, Cache-Control');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -100,7 +100,7 @@ function setCorsHeaders(req, res) {
     }
 
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, Cache-Control');
 }
 
 function validateRequestBody(requiredFields = []) {
@@ -0,0 +1,174 @@
+const { calculateCost } = require('./supabase');
+const { supportsVision } = require('./apiKeyRotation');
+const { PROTECTION_LEVELS } = require('./promptProtection');
+
+const MODEL_CATALOG = {
+    'orzion-pro': {
+        description: 'Advanced model for deep analysis and coding',
+        tokenizer: 'qwen',
+        contextLength: 32768,
+        maxOutputTokens: 8192,
+        fallback: ['orzion-turbo', 'orzion-mini'],
+        promptProtection: 'high',
+        created: 1727740800
+    },
+    'orzion-turbo': {
+        description: 'Fast model for quick responses',
+        tokenizer: 'llama',
+        contextLength: 131072,
+        maxOutputTokens: 8192,
+        fallback: ['orzion-mini'],
+        promptProtection: 'medium',
+        created: 1727740800
+    },
+    'orzion-mini': {
+        description: 'Lightweight model for simple queries',
+        tokenizer: 'llama',
+        contextLength: 131072,
+        maxOutputTokens: 8192,
+        fallback: [],
+        promptProtection: 'medium',
+        created: 1727740800
+    }
+};
+
+const VALID_MODELS = Object.keys(MODEL_CATALOG);
+
+// Models served by /api/v1/embeddings. They have upstream key pools like the
+// chat models but are not valid for chat.
+const EMBEDDING_CATALOG = {
+    'orzion-embed': {
+        description: 'Text embeddings for search, clustering and retrieval',
+        maxInputTokens: 8191,
+        created: 1792368000
+    }
+};
+
+const EMBEDDING_MODELS = Object.keys(EMBEDDING_CATALOG);
+
+// Every model with an upstream key pool
+const UPSTREAM_MODELS = [...VALID_MODELS, ...EMBEDDING_MODELS];
+
+// Deployments serving a model with a smaller window (e.g. a self-hosted
+// upstream) can lower the limit with ORZION_<MODEL>_CONTEXT_LENGTH.
+function getContextLength(model) {
+    const entry = MODEL_CATALOG[model];
+
+    if (!entry) {
+        return null;
+    }
+
+    const override = parseInt(process.env[`${model.replace(/-/g, '_').toUpperCase()}_CONTEXT_LENGTH`], 10);
+    return override > 0 ? override : entry.contextLength;
+}
+
+// Models tried, in order, when every upstream key of `model` fails.
+// ORZION_<MODEL>_FALLBACK_MODELS overrides the chain with a comma-separated
+// list; an empty value disables fallback for that model.
+function getFallbackChain(model) {
+    const entry = MODEL_CATALOG[model];
+
+    if (!entry) {
+        return [];
+    }
+
+    const override = process.env[`${model.replace(/-/g, '_').toUpperCase()}_FALLBACK_MODELS`];
+    const chain = override !== undefined
+        ? override.split(',').map(item => item.trim()).filter(Boolean)
+        : entry.fallback;
+
+    return chain.filter(candidate => candidate !== model && MODEL_CATALOG[candidate]);
+}
+
+// Prompt-injection and leakage sensitivity (see lib/promptProtection.js).
+// ORZION_<MODEL>_PROMPT_PROTECTION overrides it with off, low, medium or high.
+function getPromptProtection(model) {
+    const entry = MODEL_CATALOG[model];
+
+    if (!entry) {
+        return 'off';
+    }
+
+    const override = (process.env[`${model.replace(/-/g, '_').toUpperCase()}_PROMPT_PROTECTION`] || '').trim().toLowerCase();
+    return Object.keys(PROTECTION_LEVELS).includes(override) ? override : entry.promptProtection;
+}
+
+function roundPrice(value) {
+    return Math.round(value * 1000000) / 1000000;
+}
+
+function getEmbeddingModelInfo(model) {
+    const entry = EMBEDDING_CATALOG[model];
+
+    return {
+        id: model,
+        object: 'model',
+        created: entry.created,
+        owned_by: 'orzion',
+        description: entry.description,
+        max_input_tokens: entry.maxInputTokens,
+        pricing: {
+            currency: 'USD',
+            input_per_million_tokens: roundPrice(calculateCost(model, 1000000, 0))
+        },
+        capabilities: {
+            chat: false,
+            streaming: false,
+            tools: false,
+            vision: false,
+            embeddings: true
+        }
+    };
+}
+
+function getModelInfo(model) {
+    if (EMBEDDING_CATALOG[model]) {
+        return getEmbeddingModelInfo(model);
+    }
+
+    const entry = MODEL_CATALOG[model];
+
+    if (!entry) {
+        return null;
+    }
+
+    return {
+        id: model,
+        object: 'model',
+        created: entry.created,
+        owned_by: 'orzion',
+        description: entry.description,
+        context_length: getContextLength(model),
+        fallback_models: getFallbackChain(model),
+        max_output_tokens: entry.maxOutputTokens,
+        pricing: {
+            currency: 'USD',
+            input_per_million_tokens: roundPrice(calculateCost(model, 1000000, 0)),
+            output_per_million_tokens: roundPrice(calculateCost(model, 0, 1000000))
+        },
+        capabilities: {
+            chat: true,
+            streaming: true,
+            tools: true,
+            vision: supportsVision(model),
+            embeddings: false
+        }
+    };
+}
+
+function listModels() {
+    return [...VALID_MODELS, ...EMBEDDING_MODELS].map(getModelInfo);
+}
+
+module.exports = {
+    MODEL_CATALOG,
+    VALID_MODELS,
+    EMBEDDING_CATALOG,
+    EMBEDDING_MODELS,
+    UPSTREAM_MODELS,
+    getContextLength,
+    getFallbackChain,
+    getPromptProtection,
+    getModelInfo,
+    listModels
+};
@@ -0,0 +1,231 @@
+const { ErrorHandler } = require('./errorHandler');
+
+// Opt-in per API key (api_keys.pii_redaction: true for every type, or an
+// array of types). Matches are swapped for placeholders such as
+// [PII_EMAIL_1] before messages leave the gateway and swapped back in the
+// answer. The same value always gets the same placeholder within a request,
+// so the model can still refer to it consistently. Originals only live in
+// the request's memory.
+const PII_TYPES = ['secret', 'card', 'email', 'national_id', 'phone'];
+
+// Checked in this order, so a card or ID number is never taken for a phone
+const DETECTORS = {
+    secret: [
+        /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+        /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g,
+        /\bAKIA[0-9A-Z]{16}\b/g,
+        /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+        /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+        /\bAIza[0-9A-Za-z_-]{35}\b/g,
+        /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+        /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    ],
+    card: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    email: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+    national_id: [
+        // US SSN
+        /\b\d{3}-\d{2}-\d{4}\b/g,
+        // Spanish DNI and NIE
+        /\b[XYZ]?\d{7,8}-?[A-HJ-NP-TV-Z]\b/g,
+        // Mexican CURP
+        /\b[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]\d\b/g,
+        // UK National Insurance number
+        /\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g
+    ],
+    phone: [/(?<![\w+])\+?\d[\d ().-]{6,}\d\b/g]
+};
+
+// Digit runs that are dates, not phone numbers
+const DATE_PATTERN = /^(?:\d{4}[./-]\d{1,2}[./-]\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})$/;
+
+const VALIDATORS = {
+    card: passesLuhn,
+    phone: value => {
+        const digits = value.replace(/\D/g, '').length;
+        return digits >= 8 && digits <= 15 && !DATE_PATTERN.test(value);
+    }
+};
+
+const PLACEHOLDER_PATTERN = /\[PII_[A-Z_]+_\d+\]/g;
+// Longest prefix of a placeholder that can end a streamed chunk
+const PARTIAL_PLACEHOLDER_PATTERN = /\[(?:P(?:I(?:I(?:_[A-Z_]*(?:\d*)?)?)?)?)?$/;
+
+function passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+function validatePiiRedaction(setting) {
+    if (setting === null || typeof setting === 'boolean') {
+        return setting || null;
+    }
+
+    if (!Array.isArray(setting) || setting.length === 0 || setting.some(type => !PII_TYPES.includes(type))) {
+        throw ErrorHandler.BadRequest(
+            `pii_redaction must be a boolean, null or a non-empty array of: ${PII_TYPES.join(', ')}`,
+            'INVALID_PII_REDACTION',
+            { validTypes: PII_TYPES }
+        );
+    }
+
+    return [...new Set(setting)];
+}
+
+// The types a stored setting enables, or null when redaction is off
+function resolveRedactionTypes(setting) {
+    if (setting === true) {
+        return PII_TYPES;
+    }
+
+    return Array.isArray(setting) && setting.length > 0
+        ? PII_TYPES.filter(type => setting.includes(type))
+        : null;
+}
+
+function createVault(types) {
+    return { types, byValue: new Map(), byPlaceholder: new Map(), counts: {} };
+}
+
+function placeholderFor(vault, type, value) {
+    const key = `${type}:${value}`;
+
+    if (!vault.byValue.has(key)) {
+        vault.counts[type] = (vault.counts[type] || 0) + 1;
+        const placeholder = `[PII_${type.toUpperCase()}_${vault.counts[type]}]`;
+        vault.byValue.set(key, placeholder);
+        vault.byPlaceholder.set(placeholder, { type, value });
+    }
+
+    return vault.byValue.get(key);
+}
+
+function redactText(vault, text) {
+    let redacted = text;
+
+    for (const type of PII_TYPES) {
+        if (!vault.types.includes(type)) {
+            continue;
+        }
+
+        for (const pattern of DETECTORS[type]) {
+            redacted = redacted.replace(pattern, (match) => {
+                const validate = VALIDATORS[type];
+                return validate && !validate(match) ? match : placeholderFor(vault, type, match);
+            });
+        }
+    }
+
+    return redacted;
+}
+
+function redactContent(vault, content) {
+    if (typeof content === 'string') {
+        return redactText(vault, content);
+    }
+
+    if (!Array.isArray(content)) {
+        return content;
+    }
+
+    return content.map(part => part && part.type === 'text'
+        ? { ...part, text: redactText(vault, part.text) }
+        : part);
+}
+
+// Returns redacted copies of the messages; the originals are left untouched
+function redactMessages(messages, types) {
+    const vault = createVault(types);
+    const redacted = messages.map(message => ({
+        ...message,
+        ...(message.content && { content: redactContent(vault, message.content) }),
+        ...(message.tool_calls && {
+            tool_calls: message.tool_calls.map(call => ({
+                ...call,
+                function: { ...call.function, arguments: redactText(vault, call.function.arguments) }
+            }))
+        })
+    }));
+
+    return { messages: redacted, vault };
+}
+
+function restoreText(vault, text) {
+    if (typeof text !== 'string' || vault.byPlaceholder.size === 0) {
+        return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => vault.byPlaceholder.get(placeholder)?.value ?? placeholder);
+}
+
+function restoreChoices(vault, choices) {
+    for (const choice of choices) {
+        choice.content = restoreText(vault, choice.content);
+
+        if (choice.toolCalls) {
+            choice.toolCalls = choice.toolCalls.map(call => ({
+                ...call,
+                function: call.function && { ...call.function, arguments: restoreText(vault, call.function.arguments) }
+            }));
+        }
+    }
+}
+
+// Streamed text can split a placeholder across chunks, so a trailing partial
+// placeholder is held back until the next chunk completes or rules it out
+function createStreamRestorer(vault) {
+    let pending = '';
+
+    return {
+        push(text) {
+            const combined = pending + text;
+            const partial = combined.match(PARTIAL_PLACEHOLDER_PATTERN);
+            const cut = partial ? partial.index : combined.length;
+
+            pending = combined.slice(cut);
+            return restoreText(vault, combined.slice(0, cut));
+        },
+        flush() {
+            const rest = pending;
+            pending = '';
+            return restoreText(vault, rest);
+        }
+    };
+}
+
+// What was masked, without the values
+function buildRedactionReport(vault) {
+    return {
+        redacted: vault.byPlaceholder.size,
+        types: { ...vault.counts },
+        placeholders: [...vault.byPlaceholder.entries()].map(([placeholder, { type }]) => ({ placeholder, type }))
+    };
+}
+
+function formatReportHeader(vault) {
+    return Object.entries(vault.counts).map(([type, count]) => `${type}=${count}`).join(', ');
+}
+
+module.exports = {
+    PII_TYPES,
+    validatePiiRedaction,
+    resolveRedactionTypes,
+    redactMessages,
+    restoreText,
+    restoreChoices,
+    createStreamRestorer,
+    buildRedactionReport,
+    formatReportHeader
+};
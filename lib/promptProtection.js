@@ -0,0 +1,310 @@
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getContentText } = require('./contentParts');
+
+// Two protections for the persona prompts, tuned per model with
+// getPromptProtection (lib/models.js):
+//   injection   client messages are scored against known injection phrasings;
+//               scores at or above the level's threshold are rejected
+//   leakage     answers are compared with the system prompt that produced
+//               them; long verbatim runs are redacted, or the whole answer
+//               is refused at the strictest level
+//
+//   level   block injection at   leaked run that counts   on leak
+//   off     never                never                    -
+//   low     never (log only)     40 words                 redact
+//   medium  0.8                  20 words                 redact
+//   high    0.7                  12 words                 refuse
+//
+// Both blocking thresholds sit above every single pattern's weight, so a
+// request is only rejected on two independent signals.
+const PROTECTION_LEVELS = {
+    off: null,
+    low: { blockScore: Infinity, minLeakWords: 40, leakAction: 'redact' },
+    medium: { blockScore: 0.8, minLeakWords: 20, leakAction: 'redact' },
+    high: { blockScore: 0.7, minLeakWords: 12, leakAction: 'refuse' }
+};
+const NGRAM_SIZE = 8;
+const REDACTED_TEXT = '[redacted]';
+
+// Weighted phrasings. A message scores the sum of the signals it matches,
+// each name counted once at its highest weight, capped at 1.
+const INJECTION_PATTERNS = [
+    { name: 'override_instructions', weight: 0.6, pattern: /\b(?:ignore|disregard|forget|override|bypass)\b.{0,40}\b(?:previous|prior|above|earlier|all|your|system)\b.{0,20}\b(?:instructions?|prompts?|rules|guidelines|directives)\b/i },
+    { name: 'override_instructions', weight: 0.6, pattern: /\b(?:ignora|olvida|omite)\b.{0,30}\b(?:(?:instrucciones|reglas|indicaciones) (?:anteriores|previas|iniciales|del sistema)|tus (?:instrucciones|reglas|indicaciones))\b/i },
+    { name: 'override_instructions', weight: 0.6, pattern: /\b(?:ignore|esqueça|desconsidere)\b.{0,30}(?:(?:instruções|regras) (?:anteriores|iniciais|do sistema)|suas (?:instruções|regras))/i },
+    { name: 'prompt_extraction', weight: 0.5, pattern: /\b(?:repeat|reveal|print|show|output|display|leak|tell me|give me|what (?:is|are|were))\b.{0,30}\b(?:(?:system|initial|hidden|original) (?:prompt|instructions|message)|your (?:prompt|instructions|rules|guidelines))\b/i },
+    { name: 'prompt_extraction', weight: 0.5, pattern: /\b(?:repite|muestra|revela|dime|escribe)\b.{0,30}\b(?:(?:prompt|instrucciones|mensaje) (?:del sistema|inicial(?:es)?|original(?:es)?)|tu prompt|tus (?:instrucciones|reglas))\b/i },
+    { name: 'prompt_extraction', weight: 0.5, pattern: /\b(?:repita|mostre|revele|diga)\b.{0,30}\b(?:(?:prompt|instruções|mensagem) (?:do sistema|inicial|iniciais|original)|seu prompt|suas (?:instruções|regras))\b/i },
+    { name: 'prompt_extraction', weight: 0.3, pattern: /\b(?:repeat|print|output|copy)\b.{0,20}\b(?:everything|all the text|the text|the words)\b.{0,20}\b(?:above|before this)\b/i },
+    { name: 'role_hijack', weight: 0.4, pattern: /\b(?:you are now|from now on you are|act as|pretend (?:to be|you are)|eres ahora|a partir de ahora eres)\b.{0,60}\b(?:DAN|unrestricted|unfiltered|without (?:any )?(?:rules|restrictions|filters)|sin (?:reglas|restricciones|filtros))\b/i },
+    { name: 'jailbreak_keyword', weight: 0.4, pattern: /\b(?:jailbreak|developer mode|DAN mode|do anything now|god mode)\b/i },
+    { name: 'fake_role_marker', weight: 0.5, pattern: /<\|im_start\|>\s*system|<\|start_header_id\|>\s*system|<<SYS>>|\[INST\]|^\s*#{1,3}\s*system\s*:/im },
+    { name: 'fake_role_marker', weight: 0.3, pattern: /^\s*(?:system|assistant)\s*:/im },
+    { name: 'new_instructions', weight: 0.3, pattern: /\b(?:new|updated|real|actual) (?:instructions|system prompt|rules)\b\s*:/i }
+];
+
+function getProtectionSettings(level) {
+    return PROTECTION_LEVELS[level] || null;
+}
+
+function scoreInjection(text) {
+    const signals = new Map();
+
+    for (const entry of INJECTION_PATTERNS) {
+        if (entry.pattern.test(text)) {
+            signals.set(entry.name, Math.max(signals.get(entry.name) || 0, entry.weight));
+        }
+    }
+
+    const score = [...signals.values()].reduce((total, weight) => total + weight, 0);
+
+    return {
+        score: Math.min(1, Math.round(score * 100) / 100),
+        patterns: [...signals.keys()]
+    };
+}
+
+// Hits are shaped like guardrail verdicts so recordViolations can log and
+// store them next to the content-policy checks
+function buildOutcome(check, blocked, extra) {
+    return {
+        blocked,
+        violations: [{ check, type: 'prompt_protection', category: check, action: blocked ? 'block' : 'flag' }],
+        ...extra
+    };
+}
+
+// Scores the client-supplied messages (tool results included, the usual
+// carrier of indirect injection) and keeps the strongest hit. Returns null
+// when nothing matched.
+function checkPromptInjection(messages, { level, model, requestId }) {
+    const settings = getProtectionSettings(level);
+
+    if (!settings) {
+        return null;
+    }
+
+    let strongest = null;
+
+    messages.forEach((message, messageIndex) => {
+        if (message.role === 'assistant') {
+            return;
+        }
+
+        const result = scoreInjection(getContentText(message.content));
+
+        if (result.score > 0 && (!strongest || result.score > strongest.score)) {
+            strongest = { ...result, messageIndex, role: message.role };
+        }
+    });
+
+    if (!strongest) {
+        return null;
+    }
+
+    const blocked = strongest.score >= settings.blockScore;
+
+    Logger.warn('Prompt injection patterns detected', {
+        requestId,
+        model,
+        level,
+        score: strongest.score,
+        patterns: strongest.patterns,
+        messageIndex: strongest.messageIndex,
+        role: strongest.role,
+        blocked
+    });
+
+    return buildOutcome('prompt_injection', blocked, strongest);
+}
+
+function promptInjectionError(outcome) {
+    return ErrorHandler.BadRequest(
+        'The request looks like an attempt to override or reveal the model instructions',
+        'PROMPT_INJECTION_DETECTED',
+        { messageIndex: outcome.messageIndex, score: outcome.score, patterns: outcome.patterns }
+    );
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Words with their offsets in the original text, skipping pure punctuation
+function tokenize(text) {
+    const words = [];
+
+    for (const match of text.matchAll(/\S+/g)) {
+        const normalized = normalizeWord(match[0]);
+
+        if (normalized) {
+            words.push({ word: normalized, start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    return words;
+}
+
+const promptNgramCache = new Map();
+
+function getPromptNgrams(systemPrompt) {
+    if (!promptNgramCache.has(systemPrompt)) {
+        const words = tokenize(systemPrompt).map(token => token.word);
+        const ngrams = new Set();
+
+        for (let i = 0; i + NGRAM_SIZE <= words.length; i++) {
+            ngrams.add(words.slice(i, i + NGRAM_SIZE).join(' '));
+        }
+
+        // Prompts are few and long-lived, but custom instructions vary per key
+        if (promptNgramCache.size > 100) {
+            promptNgramCache.clear();
+        }
+
+        promptNgramCache.set(systemPrompt, ngrams);
+    }
+
+    return promptNgramCache.get(systemPrompt);
+}
+
+// Runs of output words that also appear, in order, in the system prompt.
+// Each run is reported as [firstWordIndex, lastWordIndex].
+function findLeakedRuns(tokens, ngrams, minLeakWords) {
+    const runs = [];
+    let current = null;
+
+    for (let i = 0; i + NGRAM_SIZE <= tokens.length; i++) {
+        const gram = tokens.slice(i, i + NGRAM_SIZE).map(token => token.word).join(' ');
+
+        if (!ngrams.has(gram)) {
+            continue;
+        }
+
+        const end = i + NGRAM_SIZE - 1;
+
+        if (current && i <= current[1] + 1) {
+            current[1] = end;
+        } else {
+            current = [i, end];
+            runs.push(current);
+        }
+    }
+
+    return runs.filter(([first, last]) => last - first + 1 >= minLeakWords);
+}
+
+// Redacts (or refuses) answers that repeat the system prompt verbatim.
+// Choices are edited in place; refused ones end with finish_reason
+// "content_filter", which callers such as threads use to skip saving them.
+// Returns null when nothing leaked.
+function filterPromptLeakage(choices, systemPrompt, { level, model, requestId }) {
+    const settings = getProtectionSettings(level);
+
+    if (!settings || !systemPrompt) {
+        return null;
+    }
+
+    const ngrams = getPromptNgrams(systemPrompt);
+    let leakedWords = 0;
+
+    choices.forEach((choice, index) => {
+        if (!choice.content) {
+            return;
+        }
+
+        const tokens = tokenize(choice.content);
+        const runs = findLeakedRuns(tokens, ngrams, settings.minLeakWords);
+
+        if (runs.length === 0) {
+            return;
+        }
+
+        leakedWords += runs.reduce((total, [first, last]) => total + last - first + 1, 0);
+
+        if (settings.leakAction === 'refuse') {
+            choices[index] = { ...choice, content: '', toolCalls: null, finishReason: 'content_filter' };
+            return;
+        }
+
+        let content = choice.content;
+
+        for (const [first, last] of [...runs].reverse()) {
+            content = content.slice(0, tokens[first].start) + REDACTED_TEXT + content.slice(tokens[last].end);
+        }
+
+        choices[index] = { ...choice, content };
+    });
+
+    if (leakedWords === 0) {
+        return null;
+    }
+
+    Logger.warn('System prompt leakage filtered', { requestId, model, level, leakedWords, action: settings.leakAction });
+
+    return buildOutcome('system_prompt_leak', settings.leakAction === 'refuse', { leakedWords, action: settings.leakAction });
+}
+
+// Streaming counterpart: words are fed in as they arrive and the stream is
+// cut as soon as a leaked run reaches the level's length. The words of that
+// run already forwarded cannot be recalled, so streams are always stopped
+// rather than redacted.
+function createLeakMonitor(systemPrompt, { level, model, requestId }) {
+    const settings = getProtectionSettings(level);
+
+    if (!settings || !systemPrompt) {
+        return null;
+    }
+
+    const ngrams = getPromptNgrams(systemPrompt);
+    const channels = new Map();
+
+    return {
+        push(channel, text) {
+            if (!channels.has(channel)) {
+                channels.set(channel, { partial: '', words: [], run: 0 });
+            }
+
+            const state = channels.get(channel);
+            const pieces = (state.partial + text).split(/\s+/);
+            state.partial = pieces.pop();
+
+            for (const piece of pieces) {
+                const word = normalizeWord(piece);
+
+                if (!word) {
+                    continue;
+                }
+
+                state.words.push(word);
+
+                if (state.words.length > NGRAM_SIZE) {
+                    state.words.shift();
+                }
+
+                if (state.words.length < NGRAM_SIZE || !ngrams.has(state.words.join(' '))) {
+                    state.run = 0;
+                    continue;
+                }
+
+                state.run = state.run === 0 ? NGRAM_SIZE : state.run + 1;
+
+                if (state.run >= settings.minLeakWords) {
+                    Logger.warn('System prompt leakage stopped stream', { requestId, model, level, leakedWords: state.run });
+                    return buildOutcome('system_prompt_leak', true, { leakedWords: state.run, action: 'stop' });
+                }
+            }
+
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    PROTECTION_LEVELS,
+    scoreInjection,
+    checkPromptInjection,
+    promptInjectionError,
+    filterPromptLeakage,
+    createLeakMonitor
+};
@@ -0,0 +1,146 @@
+const { supabase } = require('./supabase');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const {
+    SYSTEM_PROMPT_TEMPLATES,
+    BUILTIN_PROMPT_VERSION,
+    selectTemplate,
+    renderSystemPrompt
+} = require('./systemPrompts');
+
+// Versions live in the `system_prompts` table:
+//   id uuid pk, model text, locale text, version text, template text,
+//   is_active boolean, created_at timestamptz
+//   unique (model, locale, version)
+// The active version of a model is the newest row with is_active = true.
+// Bundled templates are always available as BUILTIN_PROMPT_VERSION.
+const PROMPT_CACHE_TTL_MS = 60 * 1000;
+const MAX_CUSTOM_INSTRUCTIONS_LENGTH = 4000;
+
+const promptCache = new Map();
+
+async function loadModelVersions(model) {
+    const cached = promptCache.get(model);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.versions;
+    }
+
+    const versions = {
+        [BUILTIN_PROMPT_VERSION]: { templates: SYSTEM_PROMPT_TEMPLATES[model] || {}, isActive: false, createdAt: 0 }
+    };
+
+    try {
+        const { data, error } = await supabase
+            .from('system_prompts')
+            .select('locale, version, template, is_active, created_at')
+            .eq('model', model);
+
+        if (error) {
+            Logger.logDatabaseError('load system prompts', error, { model });
+        } else {
+            for (const row of data || []) {
+                const entry = versions[row.version] || { templates: {}, isActive: false, createdAt: 0 };
+
+                entry.templates = { ...entry.templates, [row.locale]: row.template };
+                entry.isActive = entry.isActive || row.is_active;
+                entry.createdAt = Math.max(entry.createdAt, new Date(row.created_at).getTime() || 0);
+                versions[row.version] = entry;
+            }
+        }
+    } catch (error) {
+        Logger.error('Exception loading system prompts, using bundled prompts', {
+            model,
+            error: error.message
+        });
+    }
+
+    promptCache.set(model, { versions, expiresAt: Date.now() + PROMPT_CACHE_TTL_MS });
+    return versions;
+}
+
+function pickActiveVersion(versions) {
+    const active = Object.entries(versions)
+        .filter(([, entry]) => entry.isActive)
+        .sort((a, b) => b[1].createdAt - a[1].createdAt);
+
+    return active.length > 0 ? active[0][0] : BUILTIN_PROMPT_VERSION;
+}
+
+// Resolves the persona prompt for a model, optionally pinned to a version.
+// Returns the rendered prompt and the version that produced it.
+async function resolveSystemPrompt(model, language, pinnedVersion = null) {
+    const versions = await loadModelVersions(model);
+
+    if (pinnedVersion !== null && !versions[pinnedVersion]) {
+        throw ErrorHandler.BadRequest(
+            `Prompt version '${pinnedVersion}' does not exist for model ${model}`,
+            'PROMPT_VERSION_NOT_FOUND',
+            { model, providedVersion: pinnedVersion, availableVersions: Object.keys(versions) }
+        );
+    }
+
+    const version = pinnedVersion !== null ? pinnedVersion : pickActiveVersion(versions);
+    const template = selectTemplate(versions[version].templates, language) ||
+        selectTemplate(SYSTEM_PROMPT_TEMPLATES[model], language);
+
+    return {
+        prompt: renderSystemPrompt(template, language),
+        version
+    };
+}
+
+function appendCustomInstructions(prompt, customInstructions) {
+    if (!customInstructions) {
+        return prompt;
+    }
+
+    return `${prompt}
+
+# Additional Instructions (API key owner)
+The following instructions were configured by the owner of this API key. Follow them unless they conflict with the Absolute Restrictions above, which always take precedence.
+
+${customInstructions}`;
+}
+
+function validateCustomInstructions(customInstructions) {
+    if (customInstructions === null) {
+        return null;
+    }
+
+    if (typeof customInstructions !== 'string') {
+        throw ErrorHandler.BadRequest(
+            'custom_instructions must be a string or null',
+            'INVALID_CUSTOM_INSTRUCTIONS_TYPE',
+            { receivedType: typeof customInstructions }
+        );
+    }
+
+    const trimmed = customInstructions.trim();
+
+    if (trimmed.length > MAX_CUSTOM_INSTRUCTIONS_LENGTH) {
+        throw ErrorHandler.BadRequest(
+            'custom_instructions is too long',
+            'CUSTOM_INSTRUCTIONS_TOO_LONG',
+            { maxLength: MAX_CUSTOM_INSTRUCTIONS_LENGTH, providedLength: trimmed.length }
+        );
+    }
+
+    return trimmed.length > 0 ? trimmed : null;
+}
+
+function clearPromptCache(model = null) {
+    if (model) {
+        promptCache.delete(model);
+    } else {
+        promptCache.clear();
+    }
+}
+
+module.exports = {
+    resolveSystemPrompt,
+    appendCustomInstructions,
+    validateCustomInstructions,
+    clearPromptCache,
+    MAX_CUSTOM_INSTRUCTIONS_LENGTH
+};
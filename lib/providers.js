@@ -0,0 +1,208 @@
+// Upstream provider adapters. Each adapter turns a gateway chat request into
+// an HTTP call for its provider and maps the answer back:
+//   buildRequest({ baseUrl, modelId, messages, params, stream }) -> { url, body }
+//   buildEmbeddingsRequest({ baseUrl, modelId, input, params }) -> { url, body }
+//   parseEmbeddingsResponse(data) -> { data: [{ index, embedding }], usage } or null
+//   buildHeaders(apiKey)      -> request headers, including auth
+//   parseResponse(data)       -> { choices, usage } or null when malformed
+//   classifyError(error)      -> { statusCode, message, reason, rotate, retryAfterMs }
+// Streams are passed through as OpenAI-style SSE, which every adapter here
+// speaks. Models pick an adapter and base URL in lib/apiKeyRotation.js.
+
+function joinUrl(baseUrl, path) {
+    return `${baseUrl.replace(/\/+$/, '')}${path}`;
+}
+
+function buildOpenAiRequest({ baseUrl, modelId, messages, params, stream }) {
+    return {
+        url: joinUrl(baseUrl, '/chat/completions'),
+        body: {
+            model: modelId,
+            messages,
+            ...params,
+            stream,
+            ...(stream && { stream_options: { include_usage: true } })
+        }
+    };
+}
+
+function parseOpenAiResponse(data) {
+    if (!data || !Array.isArray(data.choices) || !data.choices[0]) {
+        return null;
+    }
+
+    const choices = data.choices.map((choice, index) => {
+        const message = choice.message || {};
+        const toolCalls = Array.isArray(message.tool_calls) && message.tool_calls.length > 0
+            ? message.tool_calls
+            : null;
+
+        return {
+            index: choice.index ?? index,
+            content: message.content ?? (toolCalls ? null : ''),
+            toolCalls,
+            finishReason: choice.finish_reason || (toolCalls ? 'tool_calls' : 'stop')
+        };
+    });
+
+    return { choices, usage: data.usage };
+}
+
+function buildOpenAiEmbeddingsRequest({ baseUrl, modelId, input, params }) {
+    return {
+        url: joinUrl(baseUrl, '/embeddings'),
+        body: {
+            model: modelId,
+            input,
+            ...params
+        }
+    };
+}
+
+function parseOpenAiEmbeddingsResponse(data) {
+    if (!data || !Array.isArray(data.data) || data.data.some(item => item?.embedding === undefined)) {
+        return null;
+    }
+
+    return {
+        data: data.data.map((item, index) => ({ index: item.index ?? index, embedding: item.embedding })),
+        usage: data.usage
+    };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(headers) {
+    const value = headers?.['retry-after'];
+
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function classifyHttpError(error) {
+    const statusCode = error.response?.status || 0;
+    const message = error.response?.data?.error?.message || error.message;
+    const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const isNetworkError = error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET';
+    const lowerMessage = typeof message === 'string' ? message.toLowerCase() : '';
+
+    const reason = statusCode === 429 ? 'rate_limit' :
+                   statusCode === 402 ? 'quota_exhausted' :
+                   statusCode === 401 ? 'unauthorized' :
+                   statusCode === 403 ? 'forbidden' :
+                   statusCode >= 500 ? 'server_error' :
+                   statusCode >= 400 ? 'client_error' :
+                   isTimeout ? 'timeout' :
+                   isNetworkError ? 'network_error' :
+                   'unknown_error';
+
+    const rotate =
+        statusCode === 429 ||
+        statusCode === 402 ||
+        statusCode === 401 ||
+        statusCode === 403 ||
+        statusCode >= 500 ||
+        isTimeout ||
+        isNetworkError ||
+        lowerMessage.includes('rate') ||
+        lowerMessage.includes('limit') ||
+        lowerMessage.includes('quota');
+
+    return {
+        statusCode,
+        message,
+        reason,
+        rotate,
+        isTimeout,
+        isNetworkError,
+        retryAfterMs: parseRetryAfter(error.response?.headers)
+    };
+}
+
+const openRouterAdapter = {
+    name: 'openrouter',
+    defaultBaseUrl: 'https://openrouter.ai/api/v1',
+    requiresApiKey: true,
+    buildRequest: buildOpenAiRequest,
+    buildEmbeddingsRequest: buildOpenAiEmbeddingsRequest,
+    buildHeaders(apiKey) {
+        return {
+            'Authorization': `Bearer ${apiKey}`,
+            'HTTP-Referer': process.env.HTTP_REFERER || 'https://orzion.ai',
+            'X-Title': process.env.X_TITLE || 'Orzion AI',
+            'Content-Type': 'application/json'
+        };
+    },
+    parseResponse: parseOpenAiResponse,
+    parseEmbeddingsResponse: parseOpenAiEmbeddingsResponse,
+    classifyError: classifyHttpError
+};
+
+// Any OpenAI-compatible server, e.g. vLLM (`vllm serve --api-key ...`).
+// The base URL must be configured; the key is optional.
+const openAiCompatibleAdapter = {
+    name: 'openai-compatible',
+    defaultBaseUrl: null,
+    requiresApiKey: false,
+    buildRequest: buildOpenAiRequest,
+    buildEmbeddingsRequest: buildOpenAiEmbeddingsRequest,
+    buildHeaders(apiKey) {
+        return {
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+            'Content-Type': 'application/json'
+        };
+    },
+    parseResponse: parseOpenAiResponse,
+    parseEmbeddingsResponse: parseOpenAiEmbeddingsResponse,
+    classifyError: classifyHttpError
+};
+
+// Ollama's OpenAI-compatible API. It has no auth, and answers 404 for a
+// model that has not been pulled, which no other key can fix.
+const ollamaAdapter = {
+    ...openAiCompatibleAdapter,
+    name: 'ollama',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    classifyError(error) {
+        const failure = classifyHttpError(error);
+
+        if (failure.statusCode === 404) {
+            return { ...failure, reason: 'model_not_found', rotate: false };
+        }
+
+        return failure;
+    }
+};
+
+const PROVIDERS = {
+    [openRouterAdapter.name]: openRouterAdapter,
+    [openAiCompatibleAdapter.name]: openAiCompatibleAdapter,
+    vllm: { ...openAiCompatibleAdapter, name: 'vllm' },
+    [ollamaAdapter.name]: ollamaAdapter
+};
+
+const DEFAULT_PROVIDER = openRouterAdapter.name;
+
+function getProvider(name) {
+    return PROVIDERS[name] || null;
+}
+
+function registerProvider(adapter) {
+    PROVIDERS[adapter.name] = adapter;
+}
+
+module.exports = {
+    getProvider,
+    registerProvider,
+    classifyHttpError,
+    DEFAULT_PROVIDER
+};
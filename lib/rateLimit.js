@@ -240,5 +240,6 @@ module.exports = {
     checkUserRateLimits,
     cleanupExpiredCounters,
     getUserRateStats,
-    isRedisAvailable: () => pgClient !== null
+    isRedisAvailable: () => pgClient !== null,
+    getDatabaseClient: () => pgClient
 };
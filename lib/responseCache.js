@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+const { getDatabaseClient } = require('./rateLimit');
+
+// RESPONSE_CACHE_BACKEND picks where entries live: 'memory' (per-instance
+// LRU) or 'postgres' (the DATABASE_URL connection, shared by all instances).
+// Without DATABASE_URL the Postgres backend falls back to memory.
+const DEFAULT_TTL_SECONDS = 3600;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_DISCOUNT = 0.9;
+
+function getCacheDiscount() {
+    const discount = parseFloat(process.env.RESPONSE_CACHE_DISCOUNT);
+    return discount >= 0 && discount <= 1 ? discount : DEFAULT_CACHE_DISCOUNT;
+}
+
+function createMemoryBackend(maxEntries) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+
+            // Re-insert so the Map's iteration order tracks recency
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.delete(key);
+            entries.set(key, { value, createdAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+function createPostgresBackend(fallback) {
+    let tableReady = null;
+
+    async function ensureTable(client) {
+        if (!tableReady) {
+            tableReady = client.query(`
+                CREATE TABLE IF NOT EXISTS response_cache (
+                    key VARCHAR(64) PRIMARY KEY,
+                    value JSONB NOT NULL,
+                    created_at BIGINT NOT NULL,
+                    expires_at BIGINT NOT NULL
+                )
+            `).then(() => client.query(`
+                CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at
+                ON response_cache(expires_at)
+            `)).catch(error => {
+                tableReady = null;
+                throw error;
+            });
+        }
+
+        return tableReady;
+    }
+
+    return {
+        name: 'postgres',
+
+        async get(key) {
+            const client = getDatabaseClient();
+
+            if (!client) {
+                return fallback.get(key);
+            }
+
+            await ensureTable(client);
+
+            const result = await client.query(
+                'SELECT value, created_at, expires_at FROM response_cache WHERE key = $1 AND expires_at > $2',
+                [key, Date.now()]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            return { value: row.value, createdAt: Number(row.created_at), expiresAt: Number(row.expires_at) };
+        },
+
+        async set(key, value, ttlSeconds) {
+            const client = getDatabaseClient();
+
+            if (!client) {
+                return fallback.set(key, value, ttlSeconds);
+            }
+
+            await ensureTable(client);
+
+            const now = Date.now();
+            await client.query('DELETE FROM response_cache WHERE expires_at < $1', [now]);
+            await client.query(
+                `INSERT INTO response_cache (key, value, created_at, expires_at)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (key) DO UPDATE
+                 SET value = EXCLUDED.value, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at`,
+                [key, JSON.stringify(value), now, now + ttlSeconds * 1000]
+            );
+        }
+    };
+}
+
+let backend = null;
+
+function getBackend() {
+    if (!backend) {
+        const maxEntries = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+        const memory = createMemoryBackend(maxEntries);
+        const configured = process.env.RESPONSE_CACHE_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+
+        backend = configured === 'postgres' ? createPostgresBackend(memory) : memory;
+    }
+
+    return backend;
+}
+
+function setCacheBackend(customBackend) {
+    backend = customBackend;
+}
+
+function parseMaxAge(value, source) {
+    const seconds = Number(value);
+
+    if (!Number.isInteger(seconds) || seconds < 0) {
+        throw ErrorHandler.BadRequest(
+            `Invalid cache max age in ${source}`,
+            'INVALID_CACHE_OPTIONS',
+            { providedValue: value }
+        );
+    }
+
+    return Math.min(seconds, MAX_TTL_SECONDS);
+}
+
+// Caching is opt-in. Callers enable it with `cache: true` (or an object with
+// `ttl` / `max_age` in seconds) or a Cache-Control header:
+//   max-age=N  serve entries up to N seconds old and store the reply
+//   no-cache   skip the lookup but store the fresh reply
+//   no-store   disable caching for this request
+// Returns null when the request should not touch the cache.
+function resolveCachePolicy(cacheControl, cache) {
+    if (cache !== undefined && cache !== null && typeof cache !== 'boolean' &&
+        (typeof cache !== 'object' || Array.isArray(cache))) {
+        throw ErrorHandler.BadRequest(
+            'cache must be a boolean or an object',
+            'INVALID_CACHE_OPTIONS',
+            { receivedType: Array.isArray(cache) ? 'array' : typeof cache }
+        );
+    }
+
+    const directives = {};
+    String(cacheControl || '').toLowerCase().split(',').forEach(part => {
+        const [name, value] = part.trim().split('=');
+        if (name) {
+            directives[name] = value === undefined ? true : value;
+        }
+    });
+
+    if (directives['no-store'] || cache === false) {
+        return null;
+    }
+
+    const headerEnabled = directives['max-age'] !== undefined || directives['no-cache'] !== undefined;
+
+    if (!cache && !headerEnabled) {
+        return null;
+    }
+
+    const options = typeof cache === 'object' && cache !== null ? cache : {};
+    const ttlSeconds = options.ttl !== undefined
+        ? parseMaxAge(options.ttl, 'cache.ttl')
+        : parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+    let maxAgeSeconds = null;
+
+    if (options.max_age !== undefined) {
+        maxAgeSeconds = parseMaxAge(options.max_age, 'cache.max_age');
+    } else if (typeof directives['max-age'] === 'string') {
+        maxAgeSeconds = parseMaxAge(directives['max-age'], 'Cache-Control');
+    }
+
+    return {
+        read: !directives['no-cache'],
+        write: ttlSeconds > 0,
+        ttlSeconds,
+        maxAgeSeconds
+    };
+}
+
+function buildCacheKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Cache failures never fail the request; they are logged and treated as misses.
+async function getCachedResponse(key, maxAgeSeconds, requestId) {
+    try {
+        const entry = await getBackend().get(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        const ageSeconds = Math.floor((Date.now() - entry.createdAt) / 1000);
+
+        if (maxAgeSeconds !== null && ageSeconds > maxAgeSeconds) {
+            return null;
+        }
+
+        return { value: entry.value, ageSeconds };
+    } catch (error) {
+        Logger.error('Response cache lookup failed', { requestId, error: error.message });
+        return null;
+    }
+}
+
+async function storeCachedResponse(key, value, ttlSeconds, requestId) {
+    try {
+        await getBackend().set(key, value, ttlSeconds);
+    } catch (error) {
+        Logger.error('Response cache write failed', { requestId, error: error.message });
+    }
+}
+
+module.exports = {
+    resolveCachePolicy,
+    buildCacheKey,
+    getCachedResponse,
+    storeCachedResponse,
+    getCacheDiscount,
+    setCacheBackend
+};
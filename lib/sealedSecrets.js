@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// AES-256-GCM sealing for secrets that have to be stored and read back, such
+// as the caller keys of running batches and upstream keys added through the
+// admin API. Each caller derives its key from its own environment secret.
+// Sealed values look like v1:<iv>:<auth tag>:<ciphertext>, all base64.
+const SEALED_PREFIX = 'v1:';
+
+function deriveSealingKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function isSealed(value) {
+    return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+function sealSecret(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function openSecret(sealed, key) {
+    const [version, iv, tag, ciphertext] = String(sealed).split(':');
+
+    if (version !== 'v1') {
+        throw new Error('Unknown sealed key format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    deriveSealingKey,
+    isSealed,
+    sealSecret,
+    openSecret
+};
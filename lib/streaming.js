@@ -0,0 +1,126 @@
+const { StringDecoder } = require('string_decoder');
+const Logger = require('./logger');
+
+function initSseResponse(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    if (typeof res.flushHeaders === 'function') {
+        res.flushHeaders();
+    }
+}
+
+function writeSseData(res, payload) {
+    if (res.writableEnded) {
+        return false;
+    }
+
+    const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return res.write(`data: ${data}\n\n`);
+}
+
+function endSseResponse(res) {
+    if (res.writableEnded) {
+        return;
+    }
+
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+// Reads an upstream SSE body and calls onEvent with every parsed `data:` JSON
+// payload. Resolves once the upstream sends [DONE] or closes the connection.
+function consumeSseStream(stream, onEvent, metadata = {}) {
+    return new Promise((resolve, reject) => {
+        // Multibyte characters can be split across network chunks
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let finished = false;
+
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+
+            if (!trimmed || trimmed.startsWith(':') || !trimmed.startsWith('data:')) {
+                return;
+            }
+
+            const data = trimmed.slice(5).trim();
+
+            if (data === '[DONE]') {
+                finish();
+                return;
+            }
+
+            let event;
+
+            try {
+                event = JSON.parse(data);
+            } catch (error) {
+                Logger.warn('Skipping malformed upstream SSE event', {
+                    ...metadata,
+                    error: error.message,
+                    data: data.slice(0, 200)
+                });
+                return;
+            }
+
+            onEvent(event);
+        };
+
+        stream.on('data', (chunk) => {
+            if (finished) return;
+
+            buffer += decoder.write(chunk);
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            // A throwing handler fails the whole stream instead of being
+            // mistaken for a bad event
+            try {
+                for (const line of lines) {
+                    handleLine(line);
+                    if (finished) break;
+                }
+            } catch (error) {
+                stream.destroy();
+                finish(error);
+            }
+        });
+
+        stream.on('end', () => {
+            buffer += decoder.end();
+
+            try {
+                if (buffer) {
+                    handleLine(buffer);
+                }
+                finish();
+            } catch (error) {
+                finish(error);
+            }
+        });
+
+        stream.on('close', () => finish());
+        stream.on('error', (error) => finish(error));
+    });
+}
+
+module.exports = {
+    initSseResponse,
+    writeSseData,
+    endSseResponse,
+    consumeSseStream
+};
@@ -0,0 +1,154 @@
+const Ajv = require('ajv');
+const { ErrorHandler } = require('./errorHandler');
+
+const VALID_RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+const MAX_SCHEMA_BYTES = 64 * 1024;
+
+function validateResponseFormat(responseFormat) {
+    if (responseFormat === undefined || responseFormat === null) {
+        return null;
+    }
+
+    if (typeof responseFormat !== 'object' || !VALID_RESPONSE_FORMATS.includes(responseFormat.type)) {
+        throw ErrorHandler.BadRequest(
+            'Invalid response_format',
+            'INVALID_RESPONSE_FORMAT',
+            { providedResponseFormat: responseFormat, validTypes: VALID_RESPONSE_FORMATS }
+        );
+    }
+
+    if (responseFormat.type === 'text') {
+        return null;
+    }
+
+    if (responseFormat.type === 'json_object') {
+        return {
+            type: 'json_object',
+            instruction: 'Respond only with a single valid JSON object. Do not wrap it in Markdown or add any text outside the JSON.',
+            validate: null
+        };
+    }
+
+    const jsonSchema = responseFormat.json_schema;
+
+    if (!jsonSchema || typeof jsonSchema !== 'object' || typeof jsonSchema.name !== 'string' ||
+        !/^[a-zA-Z0-9_-]{1,64}$/.test(jsonSchema.name)) {
+        throw ErrorHandler.BadRequest(
+            "json_schema must include a 'name' of up to 64 letters, digits, '_' or '-'",
+            'INVALID_RESPONSE_FORMAT'
+        );
+    }
+
+    if (!jsonSchema.schema || typeof jsonSchema.schema !== 'object') {
+        throw ErrorHandler.BadRequest(
+            "json_schema must include a 'schema' object",
+            'INVALID_RESPONSE_FORMAT'
+        );
+    }
+
+    const schemaText = JSON.stringify(jsonSchema.schema);
+
+    if (Buffer.byteLength(schemaText, 'utf8') > MAX_SCHEMA_BYTES) {
+        throw ErrorHandler.BadRequest(
+            'json_schema.schema is too large',
+            'JSON_SCHEMA_TOO_LARGE',
+            { maxBytes: MAX_SCHEMA_BYTES }
+        );
+    }
+
+    // Each request gets its own Ajv instance: a shared one would cache every
+    // caller's schema for the life of the process and reject a reused $id
+    let validate;
+    try {
+        validate = new Ajv({ allErrors: true, strict: false }).compile(jsonSchema.schema);
+    } catch (error) {
+        throw ErrorHandler.BadRequest(
+            'json_schema.schema is not a valid JSON Schema',
+            'INVALID_JSON_SCHEMA',
+            { reason: error.message }
+        );
+    }
+
+    return {
+        type: 'json_schema',
+        instruction: 'Respond only with valid JSON that conforms to this JSON Schema. ' +
+            `Do not wrap it in Markdown or add any text outside the JSON.\nSchema (${jsonSchema.name}): ${schemaText}`,
+        validate
+    };
+}
+
+// Models often wrap JSON in code fences or add a sentence around it. Try the
+// raw reply first, then the fenced block, then the outermost {...} / [...].
+function extractJson(text) {
+    if (typeof text !== 'string') {
+        return { ok: false };
+    }
+
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+
+    if (fenced) {
+        candidates.push(fenced[1].trim());
+    }
+
+    const firstBrace = text.search(/[{[]/);
+    const lastBrace = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+
+    if (firstBrace !== -1 && lastBrace > firstBrace) {
+        candidates.push(text.slice(firstBrace, lastBrace + 1));
+    }
+
+    for (const candidate of candidates) {
+        try {
+            return { ok: true, value: JSON.parse(candidate), repaired: candidate !== text.trim() };
+        } catch (error) {
+            continue;
+        }
+    }
+
+    return { ok: false };
+}
+
+function checkStructuredOutput(format, content) {
+    const extracted = extractJson(content);
+
+    if (!extracted.ok) {
+        return { valid: false, errors: ['Reply is not valid JSON'] };
+    }
+
+    if (format.type === 'json_object' &&
+        (typeof extracted.value !== 'object' || extracted.value === null || Array.isArray(extracted.value))) {
+        return { valid: false, errors: ['Reply must be a JSON object'] };
+    }
+
+    if (format.validate && !format.validate(extracted.value)) {
+        return {
+            valid: false,
+            errors: format.validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+        };
+    }
+
+    return {
+        valid: true,
+        repaired: extracted.repaired,
+        content: extracted.repaired ? JSON.stringify(extracted.value) : content.trim()
+    };
+}
+
+function buildRepairMessages(invalidContent, errors) {
+    return [
+        { role: 'assistant', content: invalidContent || '' },
+        {
+            role: 'user',
+            content: 'Your previous reply did not match the required JSON format: ' +
+                `${errors.slice(0, 10).join('; ')}. Reply again with only the corrected JSON.`
+        }
+    ];
+}
+
+module.exports = {
+    validateResponseFormat,
+    checkStructuredOutput,
+    buildRepairMessages,
+    extractJson
+};
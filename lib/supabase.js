@@ -86,9 +86,9 @@ async function checkRateLimits(validation, estimatedTokens = 0) {
     };
 }
 
-async function updateApiUsage(apiKey, endpoint, model, inputTokens, outputTokens, responseTime, statusCode, errorMessage = null) {
+async function updateApiUsage(apiKey, endpoint, model, inputTokens, outputTokens, responseTime, statusCode, errorMessage = null, discount = 0) {
     try {
-        const cost = calculateCost(model, inputTokens, outputTokens);
+        const cost = calculateCost(model, inputTokens, outputTokens, discount);
 
         const { data, error } = await supabase.rpc('update_api_usage', {
             api_key_input: apiKey,
@@ -114,7 +114,9 @@ async function updateApiUsage(apiKey, endpoint, model, inputTokens, outputTokens
     }
 }
 
-function calculateCost(model, inputTokens, outputTokens) {
+// `discount` is the fraction taken off the list price (0.9 bills 10%), used
+// for cache hits and batch lines
+function calculateCost(model, inputTokens, outputTokens, discount = 0) {
     const pricing = {
         'orzion-pro': {
             input: 1.25 / 1000000,
@@ -127,6 +129,10 @@ function calculateCost(model, inputTokens, outputTokens) {
         'orzion-mini': {
             input: 0.075 / 1000000,
             output: 0.30 / 1000000
+        },
+        'orzion-embed': {
+            input: 0.02 / 1000000,
+            output: 0
         }
     };
 
@@ -135,13 +141,43 @@ function calculateCost(model, inputTokens, outputTokens) {
         return 0;
     }
 
-    return (inputTokens * modelPricing.input) + (outputTokens * modelPricing.output);
+    return ((inputTokens * modelPricing.input) + (outputTokens * modelPricing.output)) * (1 - discount);
 }
 
 function estimateTokens(text) {
     return Math.ceil(text.length / 4);
 }
 
+// Per-key settings the chat pipeline applies
+async function getApiKeySettings(apiKeyId) {
+    const defaults = { customInstructions: null, piiRedaction: null };
+
+    if (!apiKeyId) {
+        return defaults;
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('custom_instructions, pii_redaction')
+            .eq('id', apiKeyId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error getting API key settings:', error);
+            return defaults;
+        }
+
+        return {
+            customInstructions: data?.custom_instructions || null,
+            piiRedaction: data?.pii_redaction ?? null
+        };
+    } catch (error) {
+        console.error('Exception getting API key settings:', error);
+        return defaults;
+    }
+}
+
 async function getUserUsageStats(userId) {
     try {
         const { data, error } = await supabase.rpc('get_user_usage_stats', {
@@ -167,5 +203,6 @@ module.exports = {
     updateApiUsage,
     calculateCost,
     estimateTokens,
+    getApiKeySettings,
     getUserUsageStats
 };
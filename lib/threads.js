@@ -0,0 +1,282 @@
+const { supabase, validateApiKey } = require('./supabase');
+const Logger = require('./logger');
+const { ErrorHandler } = require('./errorHandler');
+
+// Threads are stored in two Supabase tables:
+//   threads:         id uuid pk, user_id uuid, api_key_id, model text, title text,
+//                    metadata jsonb, created_at timestamptz, updated_at timestamptz
+//   thread_messages: id uuid pk, thread_id uuid references threads on delete cascade,
+//                    role text, content jsonb, tool_calls jsonb, tool_call_id text,
+//                    created_at timestamptz
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+async function authenticateApiKey(req) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw ErrorHandler.Unauthorized(
+            'Authorization header with Bearer token is required',
+            'MISSING_AUTH_TOKEN',
+            { hint: 'Include Authorization: Bearer <your-api-key> in headers' }
+        );
+    }
+
+    const validation = await validateApiKey(authHeader.substring(7));
+
+    if (!validation.isValid) {
+        throw ErrorHandler.Unauthorized(
+            validation.error || 'Invalid API key',
+            'INVALID_API_KEY',
+            { hint: 'Ensure your API key is active and properly formatted' }
+        );
+    }
+
+    return validation;
+}
+
+function validateThreadFields({ title, metadata }) {
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string') {
+            throw ErrorHandler.BadRequest(
+                'title must be a string',
+                'INVALID_TITLE_TYPE',
+                { receivedType: typeof title }
+            );
+        }
+
+        if (title.trim().length > MAX_TITLE_LENGTH) {
+            throw ErrorHandler.BadRequest(
+                'Thread title is too long',
+                'TITLE_TOO_LONG',
+                { maxLength: MAX_TITLE_LENGTH, providedLength: title.trim().length }
+            );
+        }
+    }
+
+    if (metadata !== undefined && metadata !== null &&
+        (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw ErrorHandler.BadRequest(
+            'metadata must be an object',
+            'INVALID_METADATA',
+            { receivedType: Array.isArray(metadata) ? 'array' : typeof metadata }
+        );
+    }
+}
+
+function parseListLimit(limit) {
+    if (limit === undefined) {
+        return DEFAULT_LIST_LIMIT;
+    }
+
+    const parsed = Number(limit);
+
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIST_LIMIT) {
+        throw ErrorHandler.BadRequest(
+            `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`,
+            'INVALID_LIMIT',
+            { providedLimit: limit }
+        );
+    }
+
+    return parsed;
+}
+
+function toDatabaseError(operation, table, error) {
+    return ErrorHandler.InternalError(
+        `Failed to ${operation}`,
+        'DATABASE_ERROR',
+        {
+            table,
+            supabaseError: error.message,
+            errorCode: error.code,
+            hint: error.hint
+        }
+    );
+}
+
+async function createThread(userId, apiKeyId, { model, title, metadata }) {
+    const { data, error } = await supabase
+        .from('threads')
+        .insert({
+            user_id: userId,
+            api_key_id: apiKeyId,
+            model,
+            title: title ? title.trim() : null,
+            metadata: metadata || {}
+        })
+        .select()
+        .single();
+
+    if (error) {
+        Logger.logDatabaseError('create thread', error, { userId });
+        throw toDatabaseError('create thread', 'threads', error);
+    }
+
+    return data;
+}
+
+async function listThreads(userId, { limit, offset = 0 }) {
+    const { data, error } = await supabase
+        .from('threads')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        Logger.logDatabaseError('list threads', error, { userId });
+        throw toDatabaseError('list threads', 'threads', error);
+    }
+
+    return data || [];
+}
+
+async function getThread(userId, threadId) {
+    const { data, error } = await supabase
+        .from('threads')
+        .select('*')
+        .eq('id', threadId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        Logger.logDatabaseError('fetch thread', error, { userId, threadId });
+        throw toDatabaseError('fetch thread', 'threads', error);
+    }
+
+    if (!data) {
+        throw ErrorHandler.NotFound(
+            'Thread not found',
+            'THREAD_NOT_FOUND',
+            {
+                threadId,
+                hint: 'The thread may not exist or does not belong to your account'
+            }
+        );
+    }
+
+    return data;
+}
+
+async function deleteThread(userId, threadId) {
+    await getThread(userId, threadId);
+
+    const { error: messagesError } = await supabase
+        .from('thread_messages')
+        .delete()
+        .eq('thread_id', threadId);
+
+    if (messagesError) {
+        Logger.logDatabaseError('delete thread messages', messagesError, { userId, threadId });
+        throw toDatabaseError('delete thread messages', 'thread_messages', messagesError);
+    }
+
+    const { error } = await supabase
+        .from('threads')
+        .delete()
+        .eq('id', threadId)
+        .eq('user_id', userId);
+
+    if (error) {
+        Logger.logDatabaseError('delete thread', error, { userId, threadId });
+        throw toDatabaseError('delete thread', 'threads', error);
+    }
+}
+
+async function getThreadMessages(threadId) {
+    const { data, error } = await supabase
+        .from('thread_messages')
+        .select('id, role, content, tool_calls, tool_call_id, created_at')
+        .eq('thread_id', threadId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        Logger.logDatabaseError('fetch thread messages', error, { threadId });
+        throw toDatabaseError('fetch thread messages', 'thread_messages', error);
+    }
+
+    return data || [];
+}
+
+async function appendThreadMessages(threadId, messages) {
+    const now = Date.now();
+    const rows = messages.map((message, index) => ({
+        thread_id: threadId,
+        role: message.role,
+        content: message.content ?? null,
+        tool_calls: message.tool_calls || null,
+        tool_call_id: message.tool_call_id || null,
+        // Keeps insertion order stable when several rows share one request
+        created_at: new Date(now + index).toISOString()
+    }));
+
+    const { data, error } = await supabase
+        .from('thread_messages')
+        .insert(rows)
+        .select('id, role, content, tool_calls, tool_call_id, created_at');
+
+    if (error) {
+        Logger.logDatabaseError('append thread messages', error, { threadId });
+        throw toDatabaseError('save thread messages', 'thread_messages', error);
+    }
+
+    const { error: touchError } = await supabase
+        .from('threads')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', threadId);
+
+    if (touchError) {
+        Logger.logDatabaseError('touch thread', touchError, { threadId });
+    }
+
+    return data || [];
+}
+
+// Converts stored rows back into the chat message shape the pipeline expects
+function toChatMessage(row) {
+    return {
+        role: row.role,
+        content: row.content,
+        ...(row.tool_calls && { tool_calls: row.tool_calls }),
+        ...(row.tool_call_id && { tool_call_id: row.tool_call_id })
+    };
+}
+
+function formatThread(thread, messages = null) {
+    return {
+        id: thread.id,
+        object: 'thread',
+        model: thread.model,
+        title: thread.title,
+        metadata: thread.metadata || {},
+        created_at: thread.created_at,
+        updated_at: thread.updated_at,
+        ...(messages && { messages: messages.map(formatThreadMessage) })
+    };
+}
+
+function formatThreadMessage(row) {
+    return {
+        id: row.id,
+        object: 'thread.message',
+        created_at: row.created_at,
+        ...toChatMessage(row)
+    };
+}
+
+module.exports = {
+    authenticateApiKey,
+    validateThreadFields,
+    parseListLimit,
+    createThread,
+    listThreads,
+    getThread,
+    deleteThread,
+    getThreadMessages,
+    appendThreadMessages,
+    toChatMessage,
+    formatThread,
+    formatThreadMessage
+};
@@ -0,0 +1,120 @@
+const Logger = require('./logger');
+const { estimateTokens } = require('./supabase');
+const { getContentText, estimateImageTokens } = require('./contentParts');
+const { MODEL_CATALOG } = require('./models');
+
+// Chat-template overhead per family, in tokens:
+//   qwen:  <|im_start|>{role}\n{content}<|im_end|>\n, reply primed with <|im_start|>assistant\n
+//   llama: <|start_header_id|>{role}<|end_header_id|>\n\n{content}<|eot_id|>, plus <|begin_of_text|>
+const TOKENIZER_FAMILIES = {
+    qwen: {
+        name: 'qwen2.5',
+        load: () => require('@lenml/tokenizer-qwen2_5').fromPreTrained(),
+        perMessage: 5,
+        perConversation: 0,
+        replyPrimer: 3
+    },
+    llama: {
+        name: 'llama3',
+        load: () => require('@lenml/tokenizer-llama3_2').fromPreTrained(),
+        perMessage: 5,
+        perConversation: 1,
+        replyPrimer: 4
+    }
+};
+
+const loadedTokenizers = {};
+
+function getTokenizerFamily(model) {
+    const familyKey = MODEL_CATALOG[model]?.tokenizer;
+    return familyKey ? TOKENIZER_FAMILIES[familyKey] : null;
+}
+
+function loadTokenizer(family) {
+    if (loadedTokenizers[family.name] !== undefined) {
+        return loadedTokenizers[family.name];
+    }
+
+    try {
+        const startTime = Date.now();
+        loadedTokenizers[family.name] = family.load();
+
+        Logger.info('Tokenizer loaded', {
+            tokenizer: family.name,
+            loadTime: `${Date.now() - startTime}ms`
+        });
+    } catch (error) {
+        Logger.error('Failed to load tokenizer, falling back to estimation', {
+            tokenizer: family.name,
+            error: error.message
+        });
+        loadedTokenizers[family.name] = null;
+    }
+
+    return loadedTokenizers[family.name];
+}
+
+function getTokenizerName(model) {
+    const family = getTokenizerFamily(model);
+    return family && loadTokenizer(family) ? family.name : 'estimate';
+}
+
+function countTokens(text, model) {
+    if (!text) {
+        return 0;
+    }
+
+    const family = getTokenizerFamily(model);
+    const tokenizer = family ? loadTokenizer(family) : null;
+
+    if (!tokenizer) {
+        return estimateTokens(text);
+    }
+
+    return tokenizer.encode(text, { add_special_tokens: false }).length;
+}
+
+function countMessageTokens(message, model) {
+    let text = getContentText(message.content);
+
+    if (message.tool_calls) {
+        text += JSON.stringify(message.tool_calls);
+    }
+
+    if (message.name) {
+        text += message.name;
+    }
+
+    return countTokens(message.role, model) + countTokens(text, model);
+}
+
+// Counts a full chat request the way the upstream template sees it: every
+// message plus its template wrapping, tool definitions and image parts.
+function countChatTokens(messages, model, { tools } = {}) {
+    const family = getTokenizerFamily(model);
+    const overhead = family || { perMessage: 4, perConversation: 0, replyPrimer: 3 };
+
+    const perMessage = messages.map(message => countMessageTokens(message, model));
+    const messageTokens = perMessage.reduce((total, count) => total + count, 0);
+    const templateTokens = overhead.perConversation +
+        overhead.perMessage * messages.length +
+        overhead.replyPrimer;
+    const toolTokens = tools ? countTokens(JSON.stringify(tools), model) : 0;
+    const imageTokens = estimateImageTokens(messages);
+
+    return {
+        total: messageTokens + templateTokens + toolTokens + imageTokens,
+        tokenizer: getTokenizerName(model),
+        perMessage,
+        templateTokens,
+        toolTokens,
+        imageTokens
+    };
+}
+
+module.exports = {
+    countTokens,
+    countChatTokens,
+    getTokenizerName,
+    TOKENIZER_FAMILIES
+};